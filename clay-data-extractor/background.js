@@ -6,18 +6,190 @@
 
 'use strict';
 
+importScripts('zip.js');
+
 // ═══════════════════════════════════════════════════════════
 // State Management
+// One capture per browser tab, tied to the Clay table open in it.
+// When a tab closes or moves to another table its capture is dropped.
 // ═══════════════════════════════════════════════════════════
 
-let capturedData = {
-  apiResponses: [],
-  parsedTable: null, // { headers: string[], rows: string[][] }
-  method: null, // 'api' | 'dom_visible' | 'dom_scroll'
-  capturedAt: null,
-  sourceUrl: null,
-  tableMeta: null, // { tableName, sourceName, sourceLabel, totalRecords, searchParams }
-};
+const captures = new Map(); // tabId → capture
+
+function createCapture(tabId, tableId) {
+  return {
+    tabId,
+    tableId,
+    apiResponses: [],
+    // What gets exported: the API table, the DOM table, or both merged
+    // { headers: string[], rows: string[][], fieldIds?: string[], rowIds?: string[],
+    //   dataIndexes?: number[], cellSources?: ('api' | 'dom' | '')[][],
+    //   rawRows?: any[][] — the API's original, unflattened cell values }
+    parsedTable: null,
+    schema: null, // inferred column types for parsedTable, see inferSchema()
+    apiTable: null, // latest table parsed from intercepted API responses
+    domTable: null, // latest table scraped from the rendered grid
+    method: null, // 'api' | 'dom_visible' | 'dom_scroll' | 'hybrid'
+    capturedAt: null,
+    sourceUrl: null,
+    tableMeta: null, // { tableId, tableName, sourceName, sourceLabel, totalRecords, searchParams }
+  };
+}
+
+// Returns the capture for the table currently open in `tab`. State left
+// over from a table the tab has since navigated away from is discarded.
+// Tabs without a Clay table get a throwaway capture that is never stored.
+function getCapture(tab) {
+  const tableId = getTableIdFromUrl(tab?.url);
+  if (!tab?.id) return createCapture(null, tableId);
+
+  const existing = captures.get(tab.id);
+  if (existing && existing.tableId === tableId) return existing;
+  if (existing) dropCapture(tab.id);
+  if (!tableId) return createCapture(null, null);
+
+  const capture = createCapture(tab.id, tableId);
+  captures.set(tab.id, capture);
+  return capture;
+}
+
+// Runs fn(capture, tab) for the table in the active tab, once the
+// persisted state has been loaded
+async function withActiveCapture(fn) {
+  await stateReady;
+  const tab = await getActiveTab();
+  return fn(getCapture(tab), tab);
+}
+
+chrome.tabs.onRemoved.addListener(tabId => {
+  stateReady.then(() => dropCapture(tabId));
+});
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (!changeInfo.url) return;
+  stateReady.then(() => {
+    const capture = captures.get(tabId);
+    if (capture && capture.tableId !== getTableIdFromUrl(changeInfo.url)) {
+      dropCapture(tabId);
+    }
+  });
+});
+
+// ═══════════════════════════════════════════════════════════
+// Persistence
+// MV3 kills the worker after ~30s idle, so captures are mirrored
+// to chrome.storage.local and reloaded when the worker starts
+// ═══════════════════════════════════════════════════════════
+
+const CAPTURE_KEY_PREFIX = 'capture:';
+const CAPTURE_TABS_KEY = 'captureTabIds';
+
+// Raw API responses are not persisted — they can be large and are
+// re-captured on the next page load anyway
+const PERSISTED_FIELDS = [
+  'tableId', 'parsedTable', 'schema', 'apiTable', 'domTable', 'tableMeta', 'method', 'capturedAt', 'sourceUrl',
+];
+
+// Resolves once saved captures have been loaded. Anything that reads or
+// writes capture state waits on this first, so a freshly woken worker
+// never answers from (or overwrites) an empty state.
+const stateReady = restoreCaptures();
+
+async function restoreCaptures() {
+  try {
+    const stored = await chrome.storage.local.get(CAPTURE_TABS_KEY);
+    const tabIds = stored[CAPTURE_TABS_KEY] || [];
+    if (tabIds.length === 0) return;
+
+    // Tab IDs don't survive a browser restart, so only restore open tabs
+    const openTabIds = new Set((await chrome.tabs.query({})).map(t => t.id));
+    const saved = await chrome.storage.local.get(tabIds.map(id => CAPTURE_KEY_PREFIX + id));
+
+    for (const tabId of tabIds) {
+      const fields = saved[CAPTURE_KEY_PREFIX + tabId];
+      if (!fields || !openTabIds.has(tabId)) continue;
+      captures.set(tabId, { ...createCapture(tabId, fields.tableId), ...fields });
+    }
+
+    const stale = tabIds.filter(id => !captures.has(id));
+    if (stale.length > 0) {
+      await chrome.storage.local.remove(stale.map(id => CAPTURE_KEY_PREFIX + id));
+      await chrome.storage.local.set({ [CAPTURE_TABS_KEY]: Array.from(captures.keys()) });
+    }
+    console.log(`[Clay Extractor] Restored captures for ${captures.size} tab(s), dropped ${stale.length} stale`);
+  } catch (err) {
+    console.error('[Clay Extractor] Could not restore saved captures:', err);
+  }
+}
+
+// Intercepted API pages arrive in bursts while Clay scrolls; each one
+// re-parses the whole table, so those saves are batched per tab
+const PERSIST_DELAY_MS = 2000;
+const pendingPersists = new Map(); // tabId → timeout ID
+
+function schedulePersist(capture) {
+  if (capture.tabId === null) return;
+  clearTimeout(pendingPersists.get(capture.tabId));
+  pendingPersists.set(capture.tabId, setTimeout(() => persistCapture(capture), PERSIST_DELAY_MS));
+}
+
+function cancelPersist(tabId) {
+  clearTimeout(pendingPersists.get(tabId));
+  pendingPersists.delete(tabId);
+}
+
+async function persistCapture(capture) {
+  if (capture.tabId === null) return;
+  cancelPersist(capture.tabId);
+
+  const saved = {};
+  for (const field of PERSISTED_FIELDS) {
+    saved[field] = capture[field];
+  }
+
+  try {
+    await chrome.storage.local.set({
+      [CAPTURE_KEY_PREFIX + capture.tabId]: saved,
+      [CAPTURE_TABS_KEY]: Array.from(captures.keys()),
+    });
+  } catch (err) {
+    console.error('[Clay Extractor] Could not save capture:', err);
+  }
+}
+
+async function dropCapture(tabId) {
+  cancelPersist(tabId);
+  if (!captures.delete(tabId)) return;
+
+  try {
+    await removeStoredCapture(tabId);
+  } catch (err) {
+    console.error('[Clay Extractor] Could not remove capture:', err);
+  }
+}
+
+// Deletes a tab's saved capture; throws when storage fails
+async function removeStoredCapture(tabId) {
+  await chrome.storage.local.remove(CAPTURE_KEY_PREFIX + tabId);
+  await chrome.storage.local.set({ [CAPTURE_TABS_KEY]: Array.from(captures.keys()) });
+}
+
+// The popup's clear button: like dropCapture, but reports failures
+async function clearCapture(capture, sendResponse) {
+  if (capture.tabId === null) {
+    sendResponse({ success: true });
+    return;
+  }
+
+  try {
+    cancelPersist(capture.tabId);
+    captures.delete(capture.tabId);
+    await removeStoredCapture(capture.tabId);
+    sendResponse({ success: true });
+  } catch (err) {
+    sendResponse({ success: false, error: err.message });
+  }
+}
 
 // ═══════════════════════════════════════════════════════════
 // Message Router
@@ -27,7 +199,11 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   switch (message.action) {
     // ── From interceptor (via content.js bridge) ──
     case 'API_DATA_CAPTURED':
-      handleApiCapture(message.payload, sender.tab);
+      if (sender.tab) {
+        stateReady
+          .then(() => handleApiCapture(getCapture(sender.tab), message.payload, sender.tab))
+          .catch(err => console.error('[Clay Extractor] Failed to record API response:', err));
+      }
       sendResponse({ ok: true });
       return false;
 
@@ -36,22 +212,38 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       sendResponse({ ok: true });
       return false;
 
-    // ── From popup ──
+    // ── From popup (all act on the table in the active tab) ──
     case 'GET_STATUS':
-      sendResponse(getStatus());
-      return false;
+      withActiveCapture(capture => sendResponse(getStatus(capture)));
+      return true;
+
+    case 'GET_ROW_PREVIEW':
+      withActiveCapture(capture => sendResponse(getRowPreview(capture, message.offset, message.limit)));
+      return true;
+
+    case 'GET_PREVIEW_PAGE':
+      withActiveCapture(capture => sendResponse(getPreviewPage(capture, message)));
+      return true;
 
     case 'USE_API_DATA':
-      handleUseApiData(sendResponse);
+      withActiveCapture((capture, tab) => handleUseApiData(capture, tab, sendResponse));
       return true; // async
 
+    case 'GET_API_FLATTENING':
+      withActiveCapture(capture => getApiFlattening(capture, sendResponse));
+      return true;
+
+    case 'SAVE_API_FLATTENING':
+      withActiveCapture(capture => saveApiFlattening(capture, message.settings, sendResponse));
+      return true;
+
     case 'SCRAPE_VISIBLE':
     case 'SCRAPE_ALL':
-      forwardToContentScript(message.action, sendResponse);
+      stateReady.then(() => forwardToContentScript(message.action, sendResponse));
       return true;
 
     case 'FETCH_TABLE_META':
-      fetchTableMeta(sendResponse);
+      stateReady.then(() => fetchTableMeta(sendResponse));
       return true;
 
     case 'TRIGGER_DATA_RELOAD':
@@ -59,33 +251,105 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       return true;
 
     case 'EXPORT_CSV':
-      exportAsFile('csv', message.range, sendResponse);
+      withActiveCapture(capture => exportAsFile(capture, 'csv', message, sendResponse));
       return true;
 
     case 'EXPORT_JSON':
-      exportAsFile('json', message.range, sendResponse);
+      withActiveCapture(capture => exportAsFile(capture, 'json', message, sendResponse));
+      return true;
+
+    case 'EXPORT_FILE':
+      withActiveCapture(capture => exportAsFile(capture, message.format || 'csv', message, sendResponse));
       return true;
 
     case 'COPY_CLIPBOARD':
-      copyToClipboard(message.format || 'csv', message.range, sendResponse);
+      withActiveCapture(capture => copyToClipboard(capture, message.format || 'csv', message, sendResponse));
+      return true;
+
+    // ── Snapshot library ──
+    case 'LIST_SNAPSHOTS':
+      listSnapshots(sendResponse);
+      return true;
+
+    case 'SAVE_SNAPSHOT':
+      withActiveCapture((capture, tab) => handleSaveSnapshot(capture, tab, sendResponse));
+      return true;
+
+    case 'RENAME_SNAPSHOT':
+      renameSnapshot(message.snapshotId, message.name, sendResponse);
+      return true;
+
+    case 'DELETE_SNAPSHOT':
+      deleteSnapshot(message.snapshotId, sendResponse);
+      return true;
+
+    case 'DIFF_SNAPSHOTS':
+      withActiveCapture(capture => handleDiffSnapshots(capture, message, sendResponse));
+      return true;
+
+    case 'EXPORT_DIFF':
+      withActiveCapture(capture => exportDiffReport(capture, message, sendResponse));
+      return true;
+
+    // ── CRM import presets ──
+    case 'GET_CRM_MAPPING':
+      withActiveCapture(capture => getCrmMapping(capture, message.preset, sendResponse));
+      return true;
+
+    case 'SAVE_CRM_MAPPING':
+      withActiveCapture(capture => saveCrmMapping(capture, message.preset, message.mapping, sendResponse));
+      return true;
+
+    case 'RESET_CRM_MAPPING':
+      withActiveCapture(capture => resetCrmMapping(capture, message.preset, sendResponse));
+      return true;
+
+    // ── vCard columns ──
+    case 'GET_VCARD_COLUMNS':
+      withActiveCapture(capture => getVCardColumns(capture, sendResponse));
+      return true;
+
+    case 'SAVE_VCARD_COLUMNS':
+      withActiveCapture(capture => saveVCardColumns(capture, message.columns, sendResponse));
+      return true;
+
+    case 'RESET_VCARD_COLUMNS':
+      withActiveCapture(capture => resetVCardColumns(capture, sendResponse));
+      return true;
+
+    // ── Column layout ──
+    case 'GET_COLUMN_LAYOUT':
+      withActiveCapture(capture => getColumnLayout(capture, sendResponse));
+      return true;
+
+    case 'SAVE_COLUMN_LAYOUT':
+      withActiveCapture(capture => saveColumnLayout(capture, message.layout, sendResponse));
+      return true;
+
+    case 'SAVE_COLUMN_PRESET':
+      withActiveCapture(capture => saveColumnPreset(capture, message.name, sendResponse));
+      return true;
+
+    case 'APPLY_COLUMN_PRESET':
+      withActiveCapture(capture => applyColumnPreset(capture, message.name, sendResponse));
+      return true;
+
+    case 'DELETE_COLUMN_PRESET':
+      withActiveCapture(capture => deleteColumnPreset(capture, message.name, sendResponse));
+      return true;
+
+    case 'COUNT_DUPLICATES':
+      withActiveCapture(capture => countDuplicates(capture, message, sendResponse));
       return true;
 
     case 'CLEAR_DATA':
-      capturedData = {
-        apiResponses: [],
-        parsedTable: null,
-        method: null,
-        capturedAt: null,
-        sourceUrl: null,
-        tableMeta: null,
-      };
-      sendResponse({ ok: true });
-      return false;
+      withActiveCapture(capture => clearCapture(capture, sendResponse));
+      return true;
 
     case 'GET_RAW_API':
       // Debug: return raw captured API responses
-      sendResponse({ responses: capturedData.apiResponses });
-      return false;
+      withActiveCapture(capture => sendResponse({ responses: capture.apiResponses }));
+      return true;
 
     // ── From offscreen ──
     case 'OFFSCREEN_COPY_RESULT':
@@ -98,56 +362,177 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 // Status
 // ═══════════════════════════════════════════════════════════
 
-function getStatus() {
+function getStatus(capture) {
+  return {
+    hasCapturedData: capture.parsedTable !== null,
+    rowCount: capture.parsedTable?.rows?.length || 0,
+    headerCount: capture.parsedTable?.headers?.length || 0,
+    method: capture.method,
+    capturedAt: capture.capturedAt,
+    apiResponseCount: capture.apiResponses.length,
+    sourceUrl: capture.sourceUrl,
+    tableId: capture.tableId,
+    tableMeta: capture.tableMeta,
+    sourceCounts: countCellSources(capture.parsedTable),
+    schema: capture.schema,
+  };
+}
+
+// { api, dom } cell counts for a merged table, null otherwise
+function countCellSources(table) {
+  if (!table?.cellSources) return null;
+  const counts = { api: 0, dom: 0 };
+  for (const row of table.cellSources) {
+    for (const source of row) {
+      if (source) counts[source]++;
+    }
+  }
+  return counts;
+}
+
+// One short label per row for the popup's row picker: the first two
+// non-empty cells, truncated
+function getRowPreview(capture, offset = 0, limit = 200) {
+  const table = capture.parsedTable;
+  if (!table) return { success: false, error: 'No data captured yet' };
+
+  const rows = table.rows.slice(offset, offset + limit).map((row, i) => {
+    const label = row.filter(cell => String(cell ?? '').trim()).slice(0, 2).join(' · ');
+    return { number: offset + i + 1, label: label.length > 60 ? label.slice(0, 59) + '…' : label };
+  });
+  return { success: true, total: table.rows.length, rows };
+}
+
+// ═══════════════════════════════════════════════════════════
+// Data Preview
+// Pages of parsedTable for the popup's preview grid. Search and sort
+// run here so the popup only holds the rows on screen.
+// ═══════════════════════════════════════════════════════════
+
+const PREVIEW_MAX_PAGE = 500;
+const PREVIEW_MAX_CELL_LENGTH = 200;
+
+// parsedTable → { key, indexes } for the last search/sort, so scrolling
+// through one result doesn't re-sort it for every page
+const previewCache = new WeakMap();
+
+// request: { offset, limit, search, sort: { column, descending } | null }
+function getPreviewPage(capture, request) {
+  const table = capture.parsedTable;
+  if (!table) return { success: false, error: 'No data captured yet' };
+
+  const indexes = previewRowIndexes(table, capture.schema, request.search, request.sort);
+  const offset = Math.max(0, request.offset || 0);
+  const limit = Math.min(request.limit || 100, PREVIEW_MAX_PAGE);
+
   return {
-    hasCapturedData: capturedData.parsedTable !== null,
-    rowCount: capturedData.parsedTable?.rows?.length || 0,
-    headerCount: capturedData.parsedTable?.headers?.length || 0,
-    method: capturedData.method,
-    capturedAt: capturedData.capturedAt,
-    apiResponseCount: capturedData.apiResponses.length,
-    sourceUrl: capturedData.sourceUrl,
-    tableMeta: capturedData.tableMeta,
+    success: true,
+    total: indexes.length,
+    headers: table.headers,
+    emptyCounts: table.headers.map((_, c) => capture.schema?.[c]?.emptyCount ?? 0),
+    rowCount: table.rows.length,
+    rows: indexes.slice(offset, offset + limit).map(i => ({
+      number: i + 1,
+      cells: table.rows[i].map(cell => {
+        const str = String(cell ?? '');
+        return str.length > PREVIEW_MAX_CELL_LENGTH ? str.slice(0, PREVIEW_MAX_CELL_LENGTH) + '…' : str;
+      }),
+    })),
   };
 }
 
+// Row indexes matching `search` (any cell, ignoring case), ordered by
+// the sort column. Empty cells sort last in either direction.
+function previewRowIndexes(table, schema, search, sort) {
+  const query = String(search || '').trim().toLowerCase();
+  const column = sort && sort.column >= 0 && sort.column < table.headers.length ? sort.column : -1;
+  const key = JSON.stringify([query, column, column !== -1 && !!sort.descending]);
+
+  const cached = previewCache.get(table);
+  if (cached?.key === key) return cached.indexes;
+
+  let indexes = table.rows.map((_, i) => i);
+  if (query) {
+    indexes = indexes.filter(i => table.rows[i].some(cell => String(cell ?? '').toLowerCase().includes(query)));
+  }
+
+  if (column !== -1) {
+    const sortKey = previewSortKey(schema?.[column]?.type);
+    const keys = new Map(indexes.map(i => [i, sortKey(String(table.rows[i][column] ?? '').trim())]));
+    const direction = sort.descending ? -1 : 1;
+    indexes.sort((a, b) => {
+      const ka = keys.get(a);
+      const kb = keys.get(b);
+      if (ka === null || kb === null) return ka === kb ? a - b : ka === null ? 1 : -1;
+      const diff = typeof ka === 'number' ? ka - kb : ka.localeCompare(kb, undefined, { numeric: true, sensitivity: 'base' });
+      return diff * direction || a - b;
+    });
+  }
+
+  previewCache.set(table, { key, indexes });
+  return indexes;
+}
+
+// Sort key for a trimmed cell by column type; null for empty or unparseable cells
+function previewSortKey(type) {
+  if (type === 'integer' || type === 'number') return str => parseNumberValue(str);
+  if (type === 'date' || type === 'datetime') {
+    return str => {
+      const date = str ? parseDateValue(str) : null;
+      return date ? Date.parse(date.iso) : null;
+    };
+  }
+  return str => str || null;
+}
+
 // ═══════════════════════════════════════════════════════════
 // API Data Handling
 // ═══════════════════════════════════════════════════════════
 
-function handleApiCapture(payload, tab) {
+async function handleApiCapture(capture, payload, tab) {
   // Only keep responses that are likely to contain table data
   // Prioritize responses flagged as having table data
   if (payload.hasTableData) {
     // Insert at front for priority
-    capturedData.apiResponses.unshift(payload);
+    capture.apiResponses.unshift(payload);
   } else {
-    capturedData.apiResponses.push(payload);
+    capture.apiResponses.push(payload);
   }
 
   // Cap stored responses to prevent memory bloat
-  if (capturedData.apiResponses.length > 100) {
-    capturedData.apiResponses = capturedData.apiResponses.slice(0, 100);
+  if (capture.apiResponses.length > 100) {
+    capture.apiResponses = capture.apiResponses.slice(0, 100);
   }
 
-  capturedData.sourceUrl = tab?.url || null;
+  capture.sourceUrl = tab?.url || null;
 
   // Auto-parse if we get a response with table data
   if (payload.hasTableData) {
-    const parsed = parseApiResponsesToTable(capturedData.apiResponses);
-    if (parsed && parsed.rows.length > 0) {
-      if (!capturedData.parsedTable || parsed.rows.length >= capturedData.parsedTable.rows.length) {
-        capturedData.parsedTable = parsed;
-        capturedData.method = 'api';
-        capturedData.capturedAt = Date.now();
-        console.log(`[Clay Extractor] Auto-parsed ${parsed.rows.length} rows x ${parsed.headers.length} cols from API`);
+    let flattening;
+    try {
+      flattening = await loadApiFlattening(capture.tableId);
+    } catch (err) {
+      // Unreadable settings shouldn't cost the capture
+      console.error('[Clay Extractor] Could not load nested field settings, using defaults:', err);
+      flattening = defaultApiFlattening();
+    }
+
+    try {
+      const parsed = parseApiResponsesToTable(capture.apiResponses, flattening);
+      if (parsed && parsed.rows.length > 0 && parsed.rows.length >= (capture.apiTable?.rows.length || 0)) {
+        if (setCaptureTable(capture, 'api', parsed, { keepLarger: true })) {
+          schedulePersist(capture);
+          console.log(`[Clay Extractor] Auto-parsed ${parsed.rows.length} rows x ${parsed.headers.length} cols from API (tab ${capture.tabId}, now ${capture.method})`);
+        }
       }
+    } catch (err) {
+      console.error('[Clay Extractor] Could not parse API response:', err);
     }
   }
 }
 
-function handleUseApiData(sendResponse) {
-  if (capturedData.apiResponses.length === 0) {
+async function handleUseApiData(capture, tab, sendResponse) {
+  if (capture.apiResponses.length === 0) {
     sendResponse({
       success: false,
       error:
@@ -156,25 +541,25 @@ function handleUseApiData(sendResponse) {
     return;
   }
 
-  const parsed = parseApiResponsesToTable(capturedData.apiResponses);
+  const parsed = parseApiResponsesToTable(capture.apiResponses, await loadApiFlattening(capture.tableId));
   if (parsed && parsed.rows.length > 0) {
-    capturedData.parsedTable = parsed;
-    capturedData.method = 'api';
-    capturedData.capturedAt = Date.now();
+    setCaptureTable(capture, 'api', parsed);
+    await persistCapture(capture);
+    await saveSnapshot(capture, getTableNameFromTab(tab));
     sendResponse({
       success: true,
-      headers: parsed.headers,
-      rows: parsed.rows,
-      rowCount: parsed.rows.length,
-      method: 'api',
+      headers: capture.parsedTable.headers,
+      rows: capture.parsedTable.rows,
+      rowCount: capture.parsedTable.rows.length,
+      method: capture.method,
     });
   } else {
     // Provide debug info about what we captured
-    const withTableData = capturedData.apiResponses.filter(r => r.hasTableData).length;
-    const urls = capturedData.apiResponses.slice(0, 5).map(r => r.url).join(', ');
+    const withTableData = capture.apiResponses.filter(r => r.hasTableData).length;
+    const urls = capture.apiResponses.slice(0, 5).map(r => r.url).join(', ');
     sendResponse({
       success: false,
-      error: `Captured ${capturedData.apiResponses.length} API responses (${withTableData} with table-like data) but could not map to table columns. URLs: ${urls}. Try DOM scraping instead.`,
+      error: `Captured ${capture.apiResponses.length} API responses (${withTableData} with table-like data) but could not map to table columns. URLs: ${urls}. Try DOM scraping instead.`,
     });
   }
 }
@@ -183,28 +568,38 @@ function handleUseApiData(sendResponse) {
 // API Response Parsing
 // ═══════════════════════════════════════════════════════════
 
-function parseApiResponsesToTable(responses) {
-  let bestResult = null;
-
-  for (const resp of responses) {
-    const data = resp.data;
-    const candidates = findAllTableArrays(data);
-
-    for (const tableData of candidates) {
-      if (tableData.length === 0) continue;
+// flattening: see loadApiFlattening(); null keeps one column per top-level key
+function parseApiResponsesToTable(responses, flattening = null) {
+  const best = findBestApiRecords(responses, flattening);
+  if (!best) return null;
+
+  const { records, columns } = best;
+  const headers = columns.map(path => path.join('.'));
+  const rows = records.map(item => columns.map(path => flattenValue(valueAtPath(item, path))));
+  // Object keys (or dot paths) double as field IDs; Clay records carry their row ID as `id`
+  const rowIds = records.every(item => typeof item.id === 'string' && item.id)
+    ? records.map(item => item.id)
+    : undefined;
+  // Kept alongside the flattened strings for lossless JSON exports
+  const rawRows = records.map(item => columns.map(path => valueAtPath(item, path) ?? null));
+  return { headers, rows, fieldIds: headers.slice(), rowIds, rawRows };
+}
 
-      const headers = extractHeadersFromObjects(tableData);
-      if (headers.length === 0) continue;
+// The largest table-like array across the responses, with its columns
+// as key paths: { records, columns: string[][] }, or null
+function findBestApiRecords(responses, flattening) {
+  let best = null;
 
-      const rows = tableData.map(item => headers.map(h => flattenValue(item[h])));
+  for (const resp of responses) {
+    for (const records of findAllTableArrays(resp.data)) {
+      if (records.length === 0 || (best && records.length <= best.records.length)) continue;
 
-      if (!bestResult || rows.length > bestResult.rows.length) {
-        bestResult = { headers, rows };
-      }
+      const columns = extractColumnPaths(records, flattening);
+      if (columns.length > 0) best = { records, columns };
     }
   }
 
-  return bestResult;
+  return best;
 }
 
 function findAllTableArrays(obj, depth = 0, results = []) {
@@ -243,7 +638,21 @@ function findAllTableArrays(obj, depth = 0, results = []) {
   return results;
 }
 
-function extractHeadersFromObjects(arr) {
+// Internal/metadata keys that aren't useful as columns, unless the
+// flattening settings ask to show them
+const INTERNAL_API_KEYS = new Set([
+  '__typename',
+  '_id',
+  'createdAt',
+  'updatedAt',
+  'created_at',
+  'updated_at',
+  '__v',
+  'cursor',
+  'node',
+]);
+
+function extractHeadersFromObjects(arr, showInternalKeys = false) {
   // Collect all keys from all objects, maintaining order from first object
   const firstKeys = Object.keys(arr[0]);
   const allKeys = new Set(firstKeys);
@@ -256,20 +665,8 @@ function extractHeadersFromObjects(arr) {
     }
   }
 
-  // Filter out internal/metadata keys that aren't useful as columns
-  const skipKeys = new Set([
-    '__typename',
-    '_id',
-    'createdAt',
-    'updatedAt',
-    'created_at',
-    'updated_at',
-    '__v',
-    'cursor',
-    'node',
-  ]);
-
-  return Array.from(allKeys).filter(k => !skipKeys.has(k));
+  const keys = Array.from(allKeys);
+  return showInternalKeys ? keys : keys.filter(k => !INTERNAL_API_KEYS.has(k));
 }
 
 function flattenValue(val) {
@@ -314,240 +711,2476 @@ function flattenValue(val) {
 }
 
 // ═══════════════════════════════════════════════════════════
-// Content Script Communication
+// Nested API Flattening
+// Nested objects in API records can become dot-path columns
+// (company.name, company.domain) instead of one flattened column.
+// Settings per table under apiFlattening:<tableId>:
+// { maxDepth, showInternalKeys, paths } — maxDepth 0 keeps nested
+// objects whole; paths, when set, lists the nested paths to expand
+// (null expands all of them).
 // ═══════════════════════════════════════════════════════════
 
-async function forwardToContentScript(action, sendResponse) {
-  try {
-    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-    if (!tab) {
-      sendResponse({ success: false, error: 'No active tab found' });
-      return;
-    }
-    if (!tab.url || !tab.url.includes('app.clay.com')) {
-      sendResponse({ success: false, error: 'Not on a Clay.com page' });
-      return;
-    }
+const API_FLATTENING_KEY_PREFIX = 'apiFlattening:';
+const API_FLATTENING_MAX_DEPTH = 5;
 
-    const result = await chrome.tabs.sendMessage(tab.id, { action });
+function defaultApiFlattening() {
+  return { maxDepth: 0, showInternalKeys: false, paths: null };
+}
 
-    if (result?.success) {
-      capturedData.parsedTable = { headers: result.headers, rows: result.rows };
-      capturedData.method = result.method;
-      capturedData.capturedAt = Date.now();
-      capturedData.sourceUrl = tab.url;
-    }
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
 
-    sendResponse(result);
-  } catch (err) {
-    sendResponse({
-      success: false,
-      error: `Could not communicate with the page: ${err.message}. Try reloading the Clay page.`,
-    });
+function valueAtPath(item, path) {
+  let value = item;
+  for (const key of path) {
+    if (!isPlainObject(value)) return undefined;
+    value = value[key];
   }
+  return value;
 }
 
-// ═══════════════════════════════════════════════════════════
-// Table Metadata
-// ═══════════════════════════════════════════════════════════
-
-async function fetchTableMeta(sendResponse) {
-  try {
-    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-    if (!tab || !tab.url?.includes('app.clay.com')) {
-      sendResponse({ success: false, error: 'Not on a Clay page' });
-      return;
-    }
-
-    const tableIdMatch = tab.url.match(/tables\/(t_[^/]+)/);
-    if (!tableIdMatch) {
-      sendResponse({ success: false, error: 'Could not find table ID in URL' });
-      return;
+// Column key paths for records: each top-level key, or the leaf paths
+// of the objects under it when flattening reaches them. Arrays are
+// leaves; they stay multi-value cells. A key that holds a plain value
+// in some records and an object in others keeps its own column too.
+function extractColumnPaths(records, flattening) {
+  const showInternalKeys = !!flattening?.showInternalKeys;
+  const headers = extractHeadersFromObjects(records, showInternalKeys);
+  const maxDepth = Math.min(flattening?.maxDepth || 0, API_FLATTENING_MAX_DEPTH);
+  if (maxDepth === 0) return headers.map(header => [header]);
+
+  const selected = flattening.paths ? new Set(flattening.paths) : null;
+
+  return headers.flatMap(header => {
+    const leaves = new Map(); // dot path → key path, in discovery order
+    let keepWhole = false;
+    const walk = (value, path) => {
+      if (path.length <= maxDepth && isPlainObject(value) && Object.keys(value).length > 0) {
+        for (const key of Object.keys(value)) {
+          if (!showInternalKeys && INTERNAL_API_KEYS.has(key)) continue;
+          walk(value[key], [...path, key]);
+        }
+      } else if (path.length > 1) {
+        leaves.set(path.join('.'), path);
+      } else if (!isPlainObject(value) && flattenValue(value) !== '') {
+        keepWhole = true;
+      }
+    };
+    // Every record: enrichment objects are often empty in the first rows
+    for (const item of records) {
+      if (isPlainObject(item)) walk(item[header], [header]);
     }
-    const tableId = tableIdMatch[1];
-    const tableName = (tab.title || '').replace(/\s*\|\s*Clay\s*$/, '').trim();
-
-    console.log(`[Clay Extractor] Using executeScript to fetch sources in page context, tableId=${tableId}`);
-
-    // Execute fetch in the page's MAIN world — identical to running in the browser console
-    // Use __clayOriginalFetch to bypass the interceptor's patched fetch
-    const injectionResults = await chrome.scripting.executeScript({
-      target: { tabId: tab.id },
-      world: 'MAIN',
-      args: [tableId],
-      func: (tId) => {
-        // Use the unpatched fetch stored by our interceptor
-        const fetchFn = window.__clayOriginalFetch || window.fetch;
-        return fetchFn('https://api.clay.com/v3/sources?tableId=' + tId, { credentials: 'include' })
-          .then(function (r) {
-            if (!r.ok) return { ok: false, status: r.status };
-            return r.json().then(function (data) { return { ok: true, data: data }; });
-          })
-          .catch(function (e) { return { ok: false, error: e.message }; });
-      },
-    });
 
-    const injResult = injectionResults?.[0]?.result;
-    console.log(`[Clay Extractor] executeScript raw result type: ${typeof injResult}`);
-    console.log(`[Clay Extractor] executeScript result:`, injResult ? JSON.stringify(injResult).substring(0, 800) : 'null/undefined');
+    const expanded = Array.from(leaves.entries())
+      .filter(([dotPath]) => !selected || selected.has(dotPath))
+      .map(([, path]) => path);
+    // Nothing chosen under this key: keep it as one column
+    if (expanded.length === 0) return [[header]];
+    return keepWhole ? [[header], ...expanded] : expanded;
+  });
+}
 
-    if (!injResult?.ok) {
-      console.log(`[Clay Extractor] Page fetch failed:`, JSON.stringify(injResult));
-      sendResponse({ success: true, tableName, sourceName: '', sourceLabel: '', searchFields: {} });
-      return;
-    }
+// Stored settings, cleaned up so a damaged entry falls back to defaults
+async function loadApiFlattening(tableId) {
+  if (!tableId) return defaultApiFlattening();
+  const key = API_FLATTENING_KEY_PREFIX + tableId;
+  const stored = (await chrome.storage.local.get(key))[key];
+  if (!isPlainObject(stored)) return defaultApiFlattening();
 
-    const sources = injResult.data;
-    if (!Array.isArray(sources) || sources.length === 0) {
-      console.log(`[Clay Extractor] No sources returned`);
-      sendResponse({ success: true, tableName, sourceName: '', sourceLabel: '', searchFields: {} });
-      return;
-    }
+  const maxDepth = Number(stored.maxDepth);
+  return {
+    maxDepth: Number.isInteger(maxDepth) ? Math.min(Math.max(maxDepth, 0), API_FLATTENING_MAX_DEPTH) : 0,
+    showInternalKeys: !!stored.showInternalKeys,
+    paths: Array.isArray(stored.paths) ? stored.paths.filter(p => typeof p === 'string') : null,
+  };
+}
 
-    const source = sources[0];
-    const inputs = source.typeSettings?.inputs || {};
-    const sourceName = source.name || source.typeSettings?.name || '';
-    const totalRecords = source.state?.numSourceRecords || 0;
+// The settings plus what the captured API responses offer: every
+// nested path down to maxDepth (with a sample value) and the internal
+// keys present
+function describeApiFlattening(capture, settings) {
+  const best = findBestApiRecords(capture.apiResponses, { ...settings, paths: null });
+  const nested = best ? best.columns.filter(path => path.length > 1) : [];
+  const internalKeys = best
+    ? extractHeadersFromObjects(best.records, true).filter(key => INTERNAL_API_KEYS.has(key))
+    : [];
 
-    console.log(`[Clay Extractor] Source: "${sourceName}", inputs keys: ${Object.keys(inputs).join(', ')}`);
+  return {
+    success: true,
+    settings,
+    apiResponseCount: capture.apiResponses.length,
+    paths: nested.map(path => {
+      const sample = best.records.map(item => flattenValue(valueAtPath(item, path))).find(value => value !== '');
+      return { path: path.join('.'), sample: sample || '' };
+    }),
+    internalKeys,
+  };
+}
 
-    const result = buildMetadataResult(tableName, sourceName, totalRecords, inputs);
-    capturedData.tableMeta = result;
-    sendResponse(result);
+async function getApiFlattening(capture, sendResponse) {
+  try {
+    sendResponse(describeApiFlattening(capture, await loadApiFlattening(capture.tableId)));
   } catch (err) {
-    console.error(`[Clay Extractor] fetchTableMeta error:`, err);
     sendResponse({ success: false, error: err.message });
   }
 }
 
-function buildMetadataResult(tableName, sourceName, totalRecords, inputs) {
-  const searchFields = {};
-  const filenameParts = [];
-  const countries = { 'United States': 'US', 'United Kingdom': 'UK', 'United Arab Emirates': 'UAE', 'India': 'IN', 'Canada': 'CA', 'Australia': 'AU', 'Germany': 'DE', 'France': 'FR', 'Singapore': 'SG', 'Japan': 'JP', 'China': 'CN', 'Brazil': 'BR', 'Netherlands': 'NL', 'Switzerland': 'CH', 'Israel': 'IL' };
-
-  for (const [key, val] of Object.entries(inputs)) {
-    if (val === null || val === undefined || val === '' || val === false) continue;
-    if (Array.isArray(val) && val.length === 0) continue;
+// Saves the settings and re-parses the API responses still in memory,
+// so the capture picks up the new columns without reloading the page
+async function saveApiFlattening(capture, settings, sendResponse) {
+  if (!capture.tableId) {
+    sendResponse({ success: false, error: 'Open a Clay table to change its API columns' });
+    return;
+  }
+  const maxDepth = Number(settings?.maxDepth);
+  if (!Number.isInteger(maxDepth) || maxDepth < 0 || maxDepth > API_FLATTENING_MAX_DEPTH) {
+    sendResponse({ success: false, error: `Depth must be between 0 and ${API_FLATTENING_MAX_DEPTH}` });
+    return;
+  }
+  if (settings.paths != null && !(Array.isArray(settings.paths) && settings.paths.every(p => typeof p === 'string'))) {
+    sendResponse({ success: false, error: 'Invalid nested path selection' });
+    return;
+  }
+
+  try {
+    const saved = { maxDepth, showInternalKeys: !!settings.showInternalKeys, paths: settings.paths ?? null };
+    await chrome.storage.local.set({ [API_FLATTENING_KEY_PREFIX + capture.tableId]: saved });
+
+    const parsed = capture.apiResponses.length > 0 ? parseApiResponsesToTable(capture.apiResponses, saved) : null;
+    const reparsed = !!parsed && parsed.rows.length > 0;
+    if (reparsed) {
+      setCaptureTable(capture, 'api', parsed);
+      await persistCapture(capture);
+    }
+    sendResponse({ ...describeApiFlattening(capture, saved), reparsed });
+  } catch (err) {
+    sendResponse({ success: false, error: err.message });
+  }
+}
+
+// ═══════════════════════════════════════════════════════════
+// API + DOM Reconciliation
+// The API returns full, untruncated values but not always every
+// column; the rendered grid has every visible cell but truncates.
+// When both are captured they are merged by row ID and field ID.
+// ═══════════════════════════════════════════════════════════
+
+// kind: 'api' | 'dom'. Stores a freshly captured table and rebuilds
+// parsedTable from it — merged with the other source when possible,
+// otherwise the latest table replaces the previous one.
+//   options.method     — capture method for a DOM table
+//   options.keepLarger — don't let an unmergeable table replace a bigger one
+// Returns false when parsedTable was left unchanged.
+function setCaptureTable(capture, kind, table, options = {}) {
+  if (kind === 'api') {
+    capture.apiTable = table;
+  } else {
+    capture.domTable = table;
+  }
+
+  const merged = capture.apiTable && capture.domTable
+    ? reconcileTables(capture.apiTable, capture.domTable)
+    : null;
+
+  if (merged) {
+    capture.parsedTable = merged;
+    capture.method = 'hybrid';
+  } else {
+    if (options.keepLarger && capture.parsedTable && table.rows.length < capture.parsedTable.rows.length) {
+      return false;
+    }
+    capture.parsedTable = table;
+    capture.method = kind === 'api' ? 'api' : options.method;
+  }
+
+  capture.schema = inferSchema(capture.parsedTable);
+  capture.capturedAt = Date.now();
+  return true;
+}
+
+// Merges the two tables cell by cell. Rows keep the grid's order, with
+// rows only the API returned appended; columns keep the grid's order,
+// with columns only the API returned appended. Each cell takes the API
+// value when it has one and the DOM value otherwise; cellSources records
+// which ('api' | 'dom', or '' when both were empty). rawRows carries the
+// API's original value for API cells and the DOM text otherwise.
+// Returns null when the tables can't be lined up by row ID.
+function reconcileTables(apiTable, domTable) {
+  if (!apiTable.rowIds || !domTable.rowIds) return null;
+
+  const apiRowIndex = new Map(apiTable.rowIds.map((id, i) => [id, i]));
+  const domRowIds = new Set(domTable.rowIds);
+  if (!domTable.rowIds.some(id => apiRowIndex.has(id))) return null;
+
+  const apiColumnFor = domTable.headers.map((header, c) =>
+    findApiColumn(apiTable, domTable.fieldIds?.[c], header)
+  );
+  const matched = new Set(apiColumnFor);
+  // The API's `id` key is the row ID itself, not a column
+  const extraApiColumns = apiTable.headers
+    .map((header, i) => i)
+    .filter(i => !matched.has(i) && apiTable.headers[i] !== 'id');
+
+  const headers = [...domTable.headers, ...extraApiColumns.map(i => apiTable.headers[i])];
+  const fieldIds = [
+    ...domTable.headers.map((header, c) => domTable.fieldIds?.[c] || header),
+    ...extraApiColumns.map(i => apiTable.fieldIds?.[i] || apiTable.headers[i]),
+  ];
+
+  const merged = { headers, rows: [], fieldIds, rowIds: [], dataIndexes: [], cellSources: [], rawRows: [] };
+
+  const addRow = (rowId, domRow, apiIndex, dataIndex) => {
+    const apiRow = apiIndex === null ? null : apiTable.rows[apiIndex];
+    const apiRawRow = apiIndex === null ? null : apiTable.rawRows?.[apiIndex];
+    const values = [];
+    const sources = [];
+    const raw = [];
+    const pick = (a, domValue) => {
+      const apiValue = apiRow && a !== -1 ? apiRow[a] : '';
+      if (apiValue) {
+        values.push(apiValue);
+        sources.push('api');
+        raw.push(apiRawRow ? apiRawRow[a] : apiValue);
+      } else if (domValue) {
+        values.push(domValue);
+        sources.push('dom');
+        raw.push(domValue);
+      } else {
+        values.push('');
+        sources.push('');
+        raw.push(apiRawRow && a !== -1 ? apiRawRow[a] : null);
+      }
+    };
+
+    apiColumnFor.forEach((a, c) => pick(a, domRow ? domRow[c] : ''));
+    extraApiColumns.forEach(a => pick(a, ''));
+
+    merged.rows.push(values);
+    merged.cellSources.push(sources);
+    merged.rawRows.push(raw);
+    merged.rowIds.push(rowId);
+    merged.dataIndexes.push(dataIndex);
+  };
+
+  domTable.rowIds.forEach((rowId, r) => {
+    const a = apiRowIndex.get(rowId);
+    addRow(rowId, domTable.rows[r], a === undefined ? null : a, domTable.dataIndexes?.[r] ?? null);
+  });
+  apiTable.rowIds.forEach((rowId, a) => {
+    if (!domRowIds.has(rowId)) addRow(rowId, null, a, null);
+  });
+
+  return merged;
+}
+
+// Index of the API column holding a DOM column: same field ID first,
+// then the same label (ignoring case). -1 when the API doesn't have it.
+function findApiColumn(apiTable, fieldId, header) {
+  if (fieldId && apiTable.fieldIds) {
+    const byId = apiTable.fieldIds.indexOf(fieldId);
+    if (byId !== -1) return byId;
+  }
+  const label = header.trim().toLowerCase();
+  return apiTable.headers.findIndex(h => h.trim().toLowerCase() === label);
+}
+
+// ═══════════════════════════════════════════════════════════
+// Column Type Inference
+// Every captured value is a string; the schema records what each
+// column actually holds so exporters can write typed values
+// ═══════════════════════════════════════════════════════════
+
+// Checked in order — the first type every non-empty value satisfies wins.
+// Numbers are limited to 15 digits and may not have leading zeros, so
+// long IDs and zip codes like "02134" stay text.
+const TYPE_TESTS = [
+  ['boolean', v => /^(true|false)$/i.test(v)],
+  ['integer', v => /^-?(0|[1-9]\d{0,14})$/.test(v) || /^-?[1-9]\d{0,2}(,\d{3}){1,4}$/.test(v)],
+  ['number', v => isDecimal(v) && (v.match(/\d/g) || []).length <= 15],
+  ['date', v => parseDateValue(v)?.hasTime === false],
+  ['datetime', v => parseDateValue(v) !== null],
+  ['email', v => /^[^\s@;,]+@[^\s@;,]+\.[a-z]{2,}$/i.test(v)],
+  ['url', v => /^(https?:\/\/|www\.)\S+$/i.test(v) || /^[a-z0-9-]+(\.[a-z0-9-]+)*\.[a-z]{2,}(\/\S*)?$/i.test(v)],
+  ['phone', v => /^\+?[\d\s().-]{7,20}$/.test(v) && (v.match(/\d/g) || []).length >= 7],
+];
+
+const LIST_SEPARATOR = '; ';
+const MAX_LIST_ITEM_LENGTH = 80;
+
+// Returns one entry per column:
+// { name, type, itemType?, emptyCount }
+// type: 'string' | 'boolean' | 'integer' | 'number' | 'date' | 'datetime'
+//     | 'email' | 'url' | 'phone' | 'list' (itemType: type of each item)
+function inferSchema(table) {
+  if (!table) return null;
+
+  return table.headers.map((name, c) => {
+    const values = [];
+    let emptyCount = 0;
+    for (const row of table.rows) {
+      const value = String(row[c] ?? '').trim();
+      if (value) values.push(value);
+      else emptyCount++;
+    }
+
+    // Multi-value cells were joined with "; " by flattenValue / extractCellValue.
+    // A few prose cells that happen to contain "; " don't make a list column.
+    const listCount = values.filter(v => v.includes(LIST_SEPARATOR)).length;
+    if (listCount > values.length / 2) {
+      const items = values.flatMap(v => v.split(LIST_SEPARATOR)).map(v => v.trim()).filter(Boolean);
+      if (items.every(item => item.length <= MAX_LIST_ITEM_LENGTH)) {
+        return { name, type: 'list', itemType: inferValueType(items, name), emptyCount };
+      }
+    }
+
+    return { name, type: inferValueType(values, name), emptyCount };
+  });
+}
+
+// "3.5", "-0.25", "1e6", "1,234.50" — but not "0123"
+function isDecimal(value) {
+  if (/^-?\d{1,3}(,\d{3})+(\.\d+)?$/.test(value)) return true;
+  return /^-?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(value) && !/^-?0\d/.test(value);
+}
+
+function inferValueType(values, name) {
+  if (values.length === 0) return 'string';
+
+  // A phone column full of bare digits would otherwise pass as integers
+  if (/phone|mobile|\btel\b/i.test(name) && values.every(TYPE_TESTS.find(([t]) => t === 'phone')[1])) {
+    return 'phone';
+  }
+
+  for (const [type, test] of TYPE_TESTS) {
+    if (values.every(test)) return type;
+  }
+  return 'string';
+}
+
+// Accepts ISO dates/datetimes, "Jan 5, 2024" and "1/5/2024".
+// Returns { iso, hasTime } or null.
+function parseDateValue(value) {
+  let match = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (match) return validDate(+match[1], +match[2], +match[3]);
+
+  match = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (match) return validDate(+match[3], +match[1], +match[2]);
+
+  if (/^[A-Z][a-z]{2,8}\.? \d{1,2}, \d{4}$/.test(value)) {
+    const date = new Date(value);
+    if (!isNaN(date)) return validDate(date.getFullYear(), date.getMonth() + 1, date.getDate());
+  }
+
+  if (/^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/.test(value)) {
+    const date = new Date(value.replace(' ', 'T'));
+    if (!isNaN(date)) return { iso: date.toISOString(), hasTime: true };
+  }
+
+  return null;
+}
+
+function validDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return { iso: date.toISOString().slice(0, 10), hasTime: false };
+}
+
+// Converts a captured string to the JS value its column type implies.
+// Empty cells become null for non-text types (and [] for lists).
+function toTypedValue(value, column) {
+  const str = String(value ?? '').trim();
+  const type = column?.type || 'string';
+
+  if (type === 'list') {
+    if (!str) return [];
+    return str.split(LIST_SEPARATOR).map(item => toTypedValue(item, { type: column.itemType }));
+  }
+  if (!str) return ['boolean', 'integer', 'number', 'date', 'datetime'].includes(type) ? null : '';
+
+  switch (type) {
+    case 'boolean':
+      return str.toLowerCase() === 'true';
+    case 'integer':
+    case 'number':
+      return Number(str.replace(/,/g, ''));
+    case 'date':
+    case 'datetime':
+      return parseDateValue(str)?.iso ?? str;
+    default:
+      return String(value);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════
+// Snapshot Library
+// Every full capture is kept as a named snapshot per table ID,
+// so re-pulling a table doesn't throw away the previous pull
+// ═══════════════════════════════════════════════════════════
+
+const SNAPSHOT_INDEX_KEY = 'snapshotIndex';
+const SNAPSHOT_KEY_PREFIX = 'snapshot:';
+const MAX_SNAPSHOTS_PER_TABLE = 10;
+
+// The index maps tableId → summaries, newest first:
+// { id, name, tableId, tableName, searchFields, rowCount, columnCount, method, capturedAt }
+// The rows themselves live under their own key so listing stays cheap.
+async function loadSnapshotIndex() {
+  const stored = await chrome.storage.local.get(SNAPSHOT_INDEX_KEY);
+  return stored[SNAPSHOT_INDEX_KEY] || {};
+}
+
+function findSnapshotSummary(index, snapshotId) {
+  for (const summaries of Object.values(index)) {
+    const summary = summaries.find(s => s.id === snapshotId);
+    if (summary) return summary;
+  }
+  return null;
+}
+
+// Save a capture as a snapshot, evicting the table's oldest beyond
+// MAX_SNAPSHOTS_PER_TABLE. Returns the summary, or null when there is
+// nothing to save or the capture isn't tied to a table.
+async function saveSnapshot(capture, fallbackTableName) {
+  const { tableId } = capture;
+  if (!capture.parsedTable || !tableId) return null;
+
+  const meta = capture.tableMeta || { tableId, tableName: fallbackTableName || '', searchFields: {} };
+  const capturedAt = capture.capturedAt || Date.now();
+
+  const summary = {
+    id: 's_' + capturedAt.toString(36) + Math.random().toString(36).slice(2, 6),
+    name: `${meta.tableName || tableId} — ${new Date(capturedAt).toLocaleString()}`,
+    tableId,
+    tableName: meta.tableName || '',
+    searchFields: meta.searchFields || {},
+    rowCount: capture.parsedTable.rows.length,
+    columnCount: capture.parsedTable.headers.length,
+    method: capture.method,
+    capturedAt,
+  };
+
+  try {
+    const index = await loadSnapshotIndex();
+    const summaries = [summary, ...(index[tableId] || [])];
+    const evicted = summaries.splice(MAX_SNAPSHOTS_PER_TABLE);
+    index[tableId] = summaries;
+
+    await chrome.storage.local.set({
+      [SNAPSHOT_INDEX_KEY]: index,
+      [SNAPSHOT_KEY_PREFIX + summary.id]: {
+        parsedTable: capture.parsedTable,
+        schema: capture.schema,
+        tableMeta: meta,
+        method: capture.method,
+        capturedAt,
+        sourceUrl: capture.sourceUrl,
+      },
+    });
+    if (evicted.length > 0) {
+      await chrome.storage.local.remove(evicted.map(s => SNAPSHOT_KEY_PREFIX + s.id));
+    }
+    console.log(`[Clay Extractor] Saved snapshot "${summary.name}" (${summary.rowCount} rows)`);
+    return summary;
+  } catch (err) {
+    console.error('[Clay Extractor] Could not save snapshot:', err);
+    return null;
+  }
+}
+
+async function handleSaveSnapshot(capture, tab, sendResponse) {
+  const summary = await saveSnapshot(capture, getTableNameFromTab(tab));
+  if (summary) {
+    sendResponse({ success: true, snapshot: summary });
+  } else {
+    sendResponse({ success: false, error: 'No table capture to save' });
+  }
+}
+
+// Lists snapshots for the table open in the active tab
+async function listSnapshots(sendResponse) {
+  try {
+    const tab = await getActiveTab();
+    const tableId = getTableIdFromUrl(tab?.url);
+    const index = await loadSnapshotIndex();
+    sendResponse({ success: true, tableId, snapshots: (tableId && index[tableId]) || [] });
+  } catch (err) {
+    sendResponse({ success: false, error: err.message });
+  }
+}
+
+async function renameSnapshot(snapshotId, name, sendResponse) {
+  const trimmed = (name || '').trim();
+  if (!trimmed) {
+    sendResponse({ success: false, error: 'Snapshot name cannot be empty' });
+    return;
+  }
+
+  try {
+    const index = await loadSnapshotIndex();
+    const summary = findSnapshotSummary(index, snapshotId);
+    if (!summary) {
+      sendResponse({ success: false, error: 'Snapshot not found' });
+      return;
+    }
+    summary.name = trimmed;
+    await chrome.storage.local.set({ [SNAPSHOT_INDEX_KEY]: index });
+    sendResponse({ success: true, snapshot: summary });
+  } catch (err) {
+    sendResponse({ success: false, error: err.message });
+  }
+}
+
+async function deleteSnapshot(snapshotId, sendResponse) {
+  try {
+    const index = await loadSnapshotIndex();
+    for (const [tableId, summaries] of Object.entries(index)) {
+      index[tableId] = summaries.filter(s => s.id !== snapshotId);
+      if (index[tableId].length === 0) delete index[tableId];
+    }
+    await chrome.storage.local.set({ [SNAPSHOT_INDEX_KEY]: index });
+    await chrome.storage.local.remove(SNAPSHOT_KEY_PREFIX + snapshotId);
+    sendResponse({ success: true });
+  } catch (err) {
+    sendResponse({ success: false, error: err.message });
+  }
+}
+
+// Returns { parsedTable, schema, tableMeta, capturedAt, snapshotId? } for an
+// export: the saved snapshot when snapshotId is given, otherwise the live capture
+async function loadExportSource(capture, snapshotId) {
+  if (!snapshotId) {
+    if (!capture.parsedTable) return null;
+    return {
+      parsedTable: capture.parsedTable,
+      schema: capture.schema || inferSchema(capture.parsedTable),
+      tableMeta: capture.tableMeta,
+      method: capture.method,
+      capturedAt: capture.capturedAt,
+      sourceUrl: capture.sourceUrl,
+    };
+  }
+
+  const key = SNAPSHOT_KEY_PREFIX + snapshotId;
+  const stored = await chrome.storage.local.get(key);
+  if (!stored[key]) return null;
+
+  // Snapshots saved before schemas were stored get one inferred on load
+  const snapshot = stored[key];
+  return { ...snapshot, schema: snapshot.schema || inferSchema(snapshot.parsedTable), snapshotId };
+}
+
+// ═══════════════════════════════════════════════════════════
+// Snapshot Diff
+// Compares two captures of the same table by Clay row ID and
+// field ID, so renamed or reordered columns still line up
+// ═══════════════════════════════════════════════════════════
+
+// Returns { added, removed, changed, addedColumns, removedColumns, unchangedRows }
+// added/removed: [{ rowId, label, values: { header: value } }]
+// changed: [{ rowId, label, fieldId, header, before, after }]
+function diffTables(before, after) {
+  const beforeColumns = describeColumns(before);
+  const afterColumns = describeColumns(after);
+
+  // Union of columns, in the newer capture's order
+  const columns = new Map(afterColumns.map(c => [c.fieldId, c]));
+  for (const col of beforeColumns) {
+    if (!columns.has(col.fieldId)) columns.set(col.fieldId, col);
+  }
+
+  const beforeRows = indexRowsById(before, beforeColumns);
+  const afterRows = indexRowsById(after, afterColumns);
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+  let unchangedRows = 0;
+
+  for (const [rowId, afterRow] of afterRows) {
+    const beforeRow = beforeRows.get(rowId);
+    if (!beforeRow) {
+      added.push({ rowId, label: rowLabel(rowId, afterRow), values: rowValues(afterRow, afterColumns) });
+      continue;
+    }
+
+    let rowChanged = false;
+    for (const col of columns.values()) {
+      const oldValue = beforeRow.get(col.fieldId) ?? '';
+      const newValue = afterRow.get(col.fieldId) ?? '';
+      if (oldValue === newValue) continue;
+      rowChanged = true;
+      changed.push({
+        rowId,
+        label: rowLabel(rowId, afterRow),
+        fieldId: col.fieldId,
+        header: col.header,
+        before: oldValue,
+        after: newValue,
+      });
+    }
+    if (!rowChanged) unchangedRows++;
+  }
+
+  for (const [rowId, beforeRow] of beforeRows) {
+    if (!afterRows.has(rowId)) {
+      removed.push({ rowId, label: rowLabel(rowId, beforeRow), values: rowValues(beforeRow, beforeColumns) });
+    }
+  }
+
+  const beforeFieldIds = new Set(beforeColumns.map(c => c.fieldId));
+  const afterFieldIds = new Set(afterColumns.map(c => c.fieldId));
+
+  return {
+    added,
+    removed,
+    changed,
+    addedColumns: afterColumns.filter(c => !beforeFieldIds.has(c.fieldId)).map(c => c.header),
+    removedColumns: beforeColumns.filter(c => !afterFieldIds.has(c.fieldId)).map(c => c.header),
+    unchangedRows,
+  };
+}
+
+// Tables captured before field IDs were recorded fall back to header labels
+function describeColumns(table) {
+  return table.headers.map((header, i) => ({ header, fieldId: table.fieldIds?.[i] || header }));
+}
+
+// rowId → Map<fieldId, value>. Rows without a Clay ID fall back to their
+// position, the same way content.js keys unidentified rows.
+function indexRowsById(table, columns) {
+  const index = new Map();
+  table.rows.forEach((row, r) => {
+    const rowId = table.rowIds?.[r] || `idx_${r}`;
+    index.set(rowId, new Map(columns.map((col, c) => [col.fieldId, row[c] ?? ''])));
+  });
+  return index;
+}
+
+function rowValues(row, columns) {
+  const values = {};
+  for (const col of columns) values[col.header] = row.get(col.fieldId) ?? '';
+  return values;
+}
+
+// Human-readable handle for a row: its first non-empty cell
+function rowLabel(rowId, row) {
+  for (const value of row.values()) {
+    if (value) return value;
+  }
+  return rowId;
+}
+
+// Loads the two sides of a comparison. `null` IDs mean the live capture.
+async function loadDiffSources(capture, baseId, compareId) {
+  const base = await loadExportSource(capture, baseId);
+  const compare = await loadExportSource(capture, compareId);
+  if (!base || !compare) {
+    return { error: 'One of the captures to compare no longer exists' };
+  }
+
+  const baseTableId = base.tableMeta?.tableId;
+  const compareTableId = compare.tableMeta?.tableId;
+  if (baseTableId && compareTableId && baseTableId !== compareTableId) {
+    return { error: 'Captures belong to different tables' };
+  }
+
+  return { base, compare };
+}
+
+async function handleDiffSnapshots(capture, message, sendResponse) {
+  try {
+    const { base, compare, error } = await loadDiffSources(capture, message.baseId, message.compareId);
+    if (error) {
+      sendResponse({ success: false, error });
+      return;
+    }
+
+    const diff = diffTables(base.parsedTable, compare.parsedTable);
+    sendResponse({ success: true, diff });
+  } catch (err) {
+    sendResponse({ success: false, error: err.message });
+  }
+}
+
+function generateDiffCSV(diff) {
+  const headers = ['Change', 'Row ID', 'Row', 'Column', 'Field ID', 'Before', 'After'];
+  const rows = [];
+  for (const row of diff.added) rows.push(['added', row.rowId, row.label, '', '', '', '']);
+  for (const row of diff.removed) rows.push(['removed', row.rowId, row.label, '', '', '', '']);
+  for (const cell of diff.changed) {
+    rows.push(['changed', cell.rowId, cell.label, cell.header, cell.fieldId, cell.before, cell.after]);
+  }
+  return generateCSV(headers, rows);
+}
+
+function generateDiffJSON(diff, base, compare) {
+  const describe = source => ({
+    snapshotId: source.snapshotId || null,
+    capturedAt: new Date(source.capturedAt).toISOString(),
+    rowCount: source.parsedTable.rows.length,
+  });
+
+  return JSON.stringify({
+    _diff: {
+      tableName: compare.tableMeta?.tableName || base.tableMeta?.tableName || '',
+      base: describe(base),
+      compare: describe(compare),
+      summary: {
+        added: diff.added.length,
+        removed: diff.removed.length,
+        changedCells: diff.changed.length,
+        unchangedRows: diff.unchangedRows,
+        addedColumns: diff.addedColumns,
+        removedColumns: diff.removedColumns,
+      },
+    },
+    added: diff.added,
+    removed: diff.removed,
+    changed: diff.changed,
+  }, null, 2);
+}
+
+async function exportDiffReport(capture, message, sendResponse) {
+  try {
+    const { base, compare, error } = await loadDiffSources(capture, message.baseId, message.compareId);
+    if (error) {
+      sendResponse({ success: false, error });
+      return;
+    }
+
+    const diff = diffTables(base.parsedTable, compare.parsedTable);
+    const isJson = message.format === 'json';
+    const content = isJson ? generateDiffJSON(diff, base, compare) : generateDiffCSV(diff);
+
+    const day = source => new Date(source.capturedAt).toISOString().slice(0, 10);
+    const filename = `${buildFilenameLabel(compare.tableMeta)}_changes_${day(base)}_vs_${day(compare)}.${isJson ? 'json' : 'csv'}`;
+
+    sendResponse(await downloadFile(content, isJson ? 'application/json' : 'text/csv', filename));
+  } catch (err) {
+    sendResponse({ success: false, error: err.message });
+  }
+}
+
+// ═══════════════════════════════════════════════════════════
+// Content Script Communication
+// ═══════════════════════════════════════════════════════════
+
+async function getActiveTab() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  return tab || null;
+}
+
+function getTableIdFromUrl(url) {
+  return url?.match(/tables\/(t_[^/?#]+)/)?.[1] || null;
+}
+
+// .../workspaces/123/workbooks/wb_.../tables/t_.../views/gv_...
+function parseClayUrl(url) {
+  const part = re => url?.match(re)?.[1] || null;
+  return {
+    workspaceId: part(/workspaces\/([^/?#]+)/),
+    workbookId: part(/workbooks\/([^/?#]+)/),
+    tableId: getTableIdFromUrl(url),
+    viewId: part(/views\/([^/?#]+)/),
+  };
+}
+
+function getTableNameFromTab(tab) {
+  return (tab?.title || '').replace(/\s*\|\s*Clay\s*$/, '').trim();
+}
+
+async function forwardToContentScript(action, sendResponse) {
+  try {
+    const tab = await getActiveTab();
+    if (!tab) {
+      sendResponse({ success: false, error: 'No active tab found' });
+      return;
+    }
+    if (!tab.url || !tab.url.includes('app.clay.com')) {
+      sendResponse({ success: false, error: 'Not on a Clay.com page' });
+      return;
+    }
+
+    const result = await chrome.tabs.sendMessage(tab.id, { action });
+
+    if (result?.success) {
+      const capture = getCapture(tab);
+      const domTable = {
+        headers: result.headers,
+        rows: result.rows,
+        fieldIds: result.fieldIds,
+        rowIds: result.rowIds,
+        dataIndexes: result.dataIndexes,
+      };
+      setCaptureTable(capture, 'dom', domTable, { method: result.method });
+      capture.sourceUrl = tab.url;
+      await persistCapture(capture);
+      if (action === 'SCRAPE_ALL') await saveSnapshot(capture, getTableNameFromTab(tab));
+
+      // Report what will actually be exported, which may include API rows
+      sendResponse({
+        ...result,
+        headers: capture.parsedTable.headers,
+        rowCount: capture.parsedTable.rows.length,
+        method: capture.method,
+      });
+      return;
+    }
+
+    sendResponse(result);
+  } catch (err) {
+    sendResponse({
+      success: false,
+      error: `Could not communicate with the page: ${err.message}. Try reloading the Clay page.`,
+    });
+  }
+}
+
+// ═══════════════════════════════════════════════════════════
+// Table Metadata
+// ═══════════════════════════════════════════════════════════
+
+async function fetchTableMeta(sendResponse) {
+  try {
+    const tab = await getActiveTab();
+    if (!tab || !tab.url?.includes('app.clay.com')) {
+      sendResponse({ success: false, error: 'Not on a Clay page' });
+      return;
+    }
+
+    const tableId = getTableIdFromUrl(tab.url);
+    if (!tableId) {
+      sendResponse({ success: false, error: 'Could not find table ID in URL' });
+      return;
+    }
+    const tableName = getTableNameFromTab(tab);
+
+    console.log(`[Clay Extractor] Using executeScript to fetch sources in page context, tableId=${tableId}`);
+
+    // Execute fetch in the page's MAIN world — identical to running in the browser console
+    // Use __clayOriginalFetch to bypass the interceptor's patched fetch
+    const injectionResults = await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      world: 'MAIN',
+      args: [tableId],
+      func: (tId) => {
+        // Use the unpatched fetch stored by our interceptor
+        const fetchFn = window.__clayOriginalFetch || window.fetch;
+        return fetchFn('https://api.clay.com/v3/sources?tableId=' + tId, { credentials: 'include' })
+          .then(function (r) {
+            if (!r.ok) return { ok: false, status: r.status };
+            return r.json().then(function (data) { return { ok: true, data: data }; });
+          })
+          .catch(function (e) { return { ok: false, error: e.message }; });
+      },
+    });
+
+    const injResult = injectionResults?.[0]?.result;
+    console.log(`[Clay Extractor] executeScript raw result type: ${typeof injResult}`);
+    console.log(`[Clay Extractor] executeScript result:`, injResult ? JSON.stringify(injResult).substring(0, 800) : 'null/undefined');
+
+    if (!injResult?.ok) {
+      console.log(`[Clay Extractor] Page fetch failed:`, JSON.stringify(injResult));
+      sendResponse({ success: true, tableName, sourceName: '', sourceLabel: '', searchFields: {} });
+      return;
+    }
+
+    const sources = injResult.data;
+    if (!Array.isArray(sources) || sources.length === 0) {
+      console.log(`[Clay Extractor] No sources returned`);
+      sendResponse({ success: true, tableName, sourceName: '', sourceLabel: '', searchFields: {} });
+      return;
+    }
+
+    const source = sources[0];
+    const inputs = source.typeSettings?.inputs || {};
+    const sourceName = source.name || source.typeSettings?.name || '';
+    const totalRecords = source.state?.numSourceRecords || 0;
+
+    console.log(`[Clay Extractor] Source: "${sourceName}", inputs keys: ${Object.keys(inputs).join(', ')}`);
+
+    const result = buildMetadataResult(tableId, tableName, sourceName, totalRecords, inputs);
+    const capture = getCapture(tab);
+    capture.tableMeta = result;
+    await persistCapture(capture);
+    sendResponse(result);
+  } catch (err) {
+    console.error(`[Clay Extractor] fetchTableMeta error:`, err);
+    sendResponse({ success: false, error: err.message });
+  }
+}
+
+function buildMetadataResult(tableId, tableName, sourceName, totalRecords, inputs) {
+  const searchFields = {};
+  const filenameParts = [];
+  const countries = { 'United States': 'US', 'United Kingdom': 'UK', 'United Arab Emirates': 'UAE', 'India': 'IN', 'Canada': 'CA', 'Australia': 'AU', 'Germany': 'DE', 'France': 'FR', 'Singapore': 'SG', 'Japan': 'JP', 'China': 'CN', 'Brazil': 'BR', 'Netherlands': 'NL', 'Switzerland': 'CH', 'Israel': 'IL' };
+
+  for (const [key, val] of Object.entries(inputs)) {
+    if (val === null || val === undefined || val === '' || val === false) continue;
+    if (Array.isArray(val) && val.length === 0) continue;
     if (typeof val === 'number' && val === 0) continue;
     if (/bitmap|method|table_id|record_id|raw_location|past_experiences|exact_match/i.test(key)) continue;
     if (key === 'limit' || key === 'name') continue;
 
-    const readableKey = key.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
-    searchFields[readableKey] = Array.isArray(val) ? val.join(', ') : String(val);
+    const readableKey = key.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+    searchFields[readableKey] = Array.isArray(val) ? val.join(', ') : String(val);
+
+    if (Array.isArray(val) && val.length > 0) {
+      const abbreviated = val.map(v => {
+        if (typeof v !== 'string') return String(v);
+        if (countries[v]) return countries[v];
+        if (/indian institute of technology/i.test(v)) return 'IIT';
+        if (/indian institute of management/i.test(v)) return 'IIM';
+        if (key.includes('industr')) {
+          return v.replace(/\band\b/gi, '&').replace(/\bServices\b/gi, 'Svc').replace(/\bTechnology\b/gi, 'Tech').replace(/\bManagement\b/gi, 'Mgmt').replace(/\bConsulting\b/gi, 'Consult').replace(/\bEngineering\b/gi, 'Eng').trim();
+        }
+        return v.substring(0, 25);
+      });
+      filenameParts.push(abbreviated.join('+'));
+    } else if (typeof val === 'number' && val > 0) {
+      filenameParts.push(`${key.replace(/_/g, '')}${val}`);
+    }
+  }
+
+  const sourceLabel = filenameParts.length > 0 ? filenameParts.join('_') : sourceName;
+
+  return {
+    success: true,
+    tableId,
+    tableName,
+    sourceName,
+    sourceLabel,
+    totalRecords,
+    searchFields,
+    searchParams: inputs,
+  };
+}
+
+// suffix: optional last name part, e.g. the CRM preset
+function buildSmartFilename(source, format, range, suffix) {
+  const parts = [buildFilenameLabel(source.tableMeta)];
+
+  // Snapshots of the same table would otherwise all share one name
+  if (source.snapshotId) parts.push(new Date(source.capturedAt).toISOString().slice(0, 10));
+
+  if (range) parts.push(formatRowSelection(range));
+  if (suffix) parts.push(suffix);
+
+  return parts.join('_') + '.' + format;
+}
+
+function buildFilenameLabel(meta) {
+  if (meta?.sourceLabel) return sanitizeFilename(meta.sourceLabel);
+  if (meta?.tableName) return sanitizeFilename(meta.tableName);
+  return 'clay-export';
+}
+
+function sanitizeFilename(str) {
+  return str
+    .replace(/[<>:"/\\|?*]/g, '') // remove invalid chars
+    .replace(/\s+/g, '_')         // spaces to underscores
+    .replace(/_+/g, '_')          // collapse multiple underscores
+    .replace(/^_|_$/g, '')        // trim underscores
+    .substring(0, 80);            // limit length
+}
+
+// ═══════════════════════════════════════════════════════════
+// CSV / JSON Generation
+// ═══════════════════════════════════════════════════════════
+
+function buildSearchMetadata(meta) {
+  if (!meta) return null;
+
+  const result = {};
+  if (meta.tableName) result['Table Name'] = meta.tableName;
+  if (meta.sourceName) result['Source'] = meta.sourceName;
+  if (meta.totalRecords) result['Total Records'] = meta.totalRecords;
+
+  // Include all search fields the user entered
+  if (meta.searchFields) {
+    Object.assign(result, meta.searchFields);
+  }
+
+  return Object.keys(result).length > 0 ? result : null;
+}
+
+const CSV_DELIMITERS = { comma: ',', semicolon: ';', tab: '\t', pipe: '|' };
+
+// Default dialect: comma, every field quoted, CRLF, BOM, no metadata
+const DEFAULT_CSV_DIALECT = {
+  delimiter: ',',
+  quoteAll: true,
+  lineEnding: '\r\n',
+  bom: true,
+  metadata: 'none', // 'none' | 'comment' (# Key: value lines) | 'leading' (Key,value rows + blank line)
+};
+
+// Maps the popup's csv* export options onto a dialect
+function buildCSVDialect(options = {}) {
+  return {
+    delimiter: CSV_DELIMITERS[options.csvDelimiter] || DEFAULT_CSV_DIALECT.delimiter,
+    quoteAll: options.csvQuoting !== 'needed',
+    lineEnding: options.csvLineEnding === 'lf' ? '\n' : '\r\n',
+    bom: options.csvBom !== false,
+    metadata: ['comment', 'leading'].includes(options.csvMetadata) ? options.csvMetadata : 'none',
+  };
+}
+
+// meta: tableMeta for the optional metadata block
+function generateCSV(headers, rows, dialect = DEFAULT_CSV_DIALECT, meta = null) {
+  const { delimiter, quoteAll, lineEnding } = dialect;
+  const escape = val => {
+    const str = String(val ?? '');
+    const needsQuotes = quoteAll || str.includes(delimiter) || /["\r\n]/.test(str);
+    return needsQuotes ? '"' + str.replace(/"/g, '""') + '"' : str;
+  };
+
+  const lines = [];
+
+  const metadata = dialect.metadata !== 'none' ? buildSearchMetadata(meta) : null;
+  if (metadata) {
+    for (const [key, val] of Object.entries(metadata)) {
+      if (dialect.metadata === 'comment') {
+        lines.push(`# ${key}: ${String(val).replace(/\r?\n/g, ' ')}`);
+      } else {
+        lines.push([key, val].map(escape).join(delimiter));
+      }
+    }
+    if (dialect.metadata === 'leading') lines.push('');
+  }
+
+  lines.push(headers.map(escape).join(delimiter));
+  for (const row of rows) {
+    const paddedRow = headers.map((_, i) => escape(row[i]));
+    lines.push(paddedRow.join(delimiter));
+  }
+  // BOM for Excel UTF-8 compatibility
+  return (dialect.bom ? '\uFEFF' : '') + lines.join(lineEnding);
+}
+
+// table: an export table from buildExportTable()
+function generateJSON(table, meta) {
+  const { rows } = table;
+  // With IDs or raw values on, duplicate labels get a suffix so each
+  // column keeps its own key and its own entry in the field ID map
+  const headers = table.includeClayIds || table.rawRows ? uniqueHeaders(table.headers) : table.headers;
+  const records = buildJSONRecords(table, headers);
+
+  // Wrap with metadata and/or the column → Clay field ID map
+  const metadata = buildSearchMetadata(meta);
+  const columns = buildColumnFieldIds(table, headers);
+
+  if (metadata || columns) {
+    const wrapped = {};
+    if (metadata) wrapped._searchParameters = metadata;
+    if (columns) wrapped._columns = columns;
+    wrapped.data = records;
+    return JSON.stringify(wrapped, null, 2);
+  }
+
+  return JSON.stringify(records, null, 2);
+}
+
+// One compact record per line. With includeMetadata the first line is a
+// { "_metadata": {...} } record describing the capture, which loaders can
+// recognise by its single key and skip
+function generateNDJSON(table, source, includeMetadata) {
+  const headers = table.includeClayIds || table.rawRows ? uniqueHeaders(table.headers) : table.headers;
+  const lines = [];
+
+  if (includeMetadata) {
+    const meta = source.tableMeta || {};
+    const metadata = {
+      tableName: meta.tableName || null,
+      source: meta.sourceName || null,
+      searchFields: meta.searchFields || {},
+      captureMethod: source.method || null,
+      capturedAt: source.capturedAt ? new Date(source.capturedAt).toISOString() : null,
+      sourceUrl: source.sourceUrl || null,
+      rowCount: table.rows.length,
+    };
+    const columns = buildColumnFieldIds(table, headers);
+    if (columns) metadata.columns = columns;
+    lines.push(JSON.stringify({ _metadata: metadata }));
+  }
+
+  for (const record of buildJSONRecords(table, headers)) {
+    lines.push(JSON.stringify(record));
+  }
+  return lines.join('\n') + '\n';
+}
+
+// Numbers, booleans and lists are written as real JSON values. With
+// table.rawRows, API cells keep their original nested value instead
+function buildJSONRecords(table, headers) {
+  return table.rows.map((row, r) => {
+    const raw = table.rawRows?.[r];
+    const obj = {};
+    headers.forEach((h, i) => {
+      obj[h] = raw && raw[i] !== null && raw[i] !== undefined && typeof raw[i] !== 'string'
+        ? raw[i]
+        : toTypedValue(row[i], table.schema?.[i]);
+    });
+    return obj;
+  });
+}
+
+// [{ header, fieldId }] when Clay IDs or raw values are included, otherwise null
+function buildColumnFieldIds(table, headers) {
+  if (!(table.includeClayIds || table.rawRows) || !table.fieldIds) return null;
+  return headers
+    .map((header, i) => ({ header, fieldId: table.fieldIds[i] }))
+    .filter(col => col.fieldId);
+}
+
+// "Name", "Name" → "Name", "Name (2)"
+function uniqueHeaders(headers) {
+  const seen = new Map();
+  return headers.map(header => {
+    const count = (seen.get(header) || 0) + 1;
+    seen.set(header, count);
+    return count === 1 ? header : `${header} (${count})`;
+  });
+}
+
+// ═══════════════════════════════════════════════════════════
+// XLSX Generation
+// A real Office Open XML workbook (built with zip.js): typed cells
+// from the column schema, a bold frozen header row, fitted column
+// widths, and a second sheet with the search parameters
+// ═══════════════════════════════════════════════════════════
+
+// cellXfs indexes in XLSX_STYLES
+const XLSX_STYLE = { DEFAULT: 0, HEADER: 1, DATE: 2, DATETIME: 3 };
+
+const XLSX_STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm"/></numFmts>
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="4">
+<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>
+<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>
+<xf numFmtId="14" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+</cellXfs>
+<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>
+</styleSheet>`;
+
+const XLSX_MIN_WIDTH = 8;
+const XLSX_MAX_WIDTH = 60;
+const XLSX_WIDTH_SAMPLE_ROWS = 500;
+
+// table: an export table from buildExportTable(). Returns the .xlsx bytes.
+async function generateXLSX(table, meta) {
+  const sheets = [{ name: 'Data', xml: buildDataSheetXML(table) }];
+
+  const metadata = buildSearchMetadata(meta);
+  if (metadata) {
+    const paramRows = Object.entries(metadata).map(([key, val]) => [key, String(val)]);
+    const paramTable = {
+      headers: ['Field', 'Value'],
+      rows: paramRows,
+      schema: [{ type: 'string' }, { type: 'string' }],
+    };
+    sheets.push({ name: 'Search Parameters', xml: buildDataSheetXML(paramTable) });
+  }
+
+  const sheetEntries = sheets.map((sheet, i) => ({ ...sheet, id: i + 1 }));
+
+  return createZip([
+    {
+      name: '[Content_Types].xml',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        sheetEntries.map(s => `<Override PartName="/xl/worksheets/sheet${s.id}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+        '</Types>',
+    },
+    {
+      name: '_rels/.rels',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>',
+    },
+    {
+      name: 'xl/workbook.xml',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>' +
+        sheetEntries.map(s => `<sheet name="${escapeXML(s.name)}" sheetId="${s.id}" r:id="rId${s.id}"/>`).join('') +
+        '</sheets></workbook>',
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        sheetEntries.map(s => `<Relationship Id="rId${s.id}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${s.id}.xml"/>`).join('') +
+        `<Relationship Id="rId${sheetEntries.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+        '</Relationships>',
+    },
+    { name: 'xl/styles.xml', data: XLSX_STYLES },
+    ...sheetEntries.map(s => ({ name: `xl/worksheets/sheet${s.id}.xml`, data: s.xml })),
+  ]);
+}
+
+function buildDataSheetXML(table) {
+  const { headers, rows, schema } = table;
+  const lastCol = xlsxColumnName(Math.max(headers.length - 1, 0));
+
+  const widths = headers.map((header, c) => {
+    let longest = header.length;
+    for (const row of rows.slice(0, XLSX_WIDTH_SAMPLE_ROWS)) {
+      longest = Math.max(longest, String(row[c] ?? '').length);
+    }
+    return Math.min(Math.max(longest + 2, XLSX_MIN_WIDTH), XLSX_MAX_WIDTH);
+  });
+
+  const xmlRows = [];
+  xmlRows.push(
+    `<row r="1">${headers.map((h, c) => xlsxStringCell(`${xlsxColumnName(c)}1`, h, XLSX_STYLE.HEADER)).join('')}</row>`
+  );
+  rows.forEach((row, r) => {
+    const rowNum = r + 2;
+    const cells = headers.map((_, c) => xlsxCell(`${xlsxColumnName(c)}${rowNum}`, row[c], schema?.[c]));
+    xmlRows.push(`<row r="${rowNum}">${cells.join('')}</row>`);
+  });
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    `<dimension ref="A1:${lastCol}${rows.length + 1}"/>` +
+    '<sheetViews><sheetView workbookViewId="0">' +
+    '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>' +
+    '</sheetView></sheetViews>' +
+    `<cols>${widths.map((w, c) => `<col min="${c + 1}" max="${c + 1}" width="${w}" customWidth="1"/>`).join('')}</cols>` +
+    `<sheetData>${xmlRows.join('')}</sheetData>` +
+    '</worksheet>';
+}
+
+// Writes one cell using its column's inferred type
+function xlsxCell(ref, value, column) {
+  const typed = toTypedValue(value, column);
+  if (typed === null || typed === '' || typed.length === 0) return '';
+
+  switch (column?.type) {
+    case 'integer':
+    case 'number':
+      return `<c r="${ref}"><v>${typed}</v></c>`;
+    case 'boolean':
+      return `<c r="${ref}" t="b"><v>${typed ? 1 : 0}</v></c>`;
+    case 'date':
+    case 'datetime': {
+      const serial = toExcelSerialDate(typed);
+      if (serial === null) return xlsxStringCell(ref, value);
+      const style = column.type === 'date' ? XLSX_STYLE.DATE : XLSX_STYLE.DATETIME;
+      return `<c r="${ref}" s="${style}"><v>${serial}</v></c>`;
+    }
+    default:
+      return xlsxStringCell(ref, String(value));
+  }
+}
+
+function xlsxStringCell(ref, text, style = XLSX_STYLE.DEFAULT) {
+  const styleAttr = style ? ` s="${style}"` : '';
+  return `<c r="${ref}" t="inlineStr"${styleAttr}><is><t xml:space="preserve">${escapeXML(text)}</t></is></c>`;
+}
+
+// ISO date/datetime → days since 1899-12-30 (Excel's epoch)
+function toExcelSerialDate(iso) {
+  const time = Date.parse(iso.length === 10 ? iso + 'T00:00:00Z' : iso);
+  if (isNaN(time)) return null;
+  return (time - Date.UTC(1899, 11, 30)) / 86400000;
+}
+
+// 0 → A, 25 → Z, 26 → AA
+function xlsxColumnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+function escapeXML(str) {
+  return String(str)
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// ═══════════════════════════════════════════════════════════
+// Spreadsheet Clipboard (HTML table + TSV)
+// Sheets, Excel and Notion read the text/html flavour and split it
+// into cells; text/plain TSV covers editors that only take text
+// ═══════════════════════════════════════════════════════════
+
+function generateTSV(headers, rows) {
+  // Quoted the way Excel and Sheets expect when a cell holds a tab,
+  // line break or quote; everything else is written as-is
+  const escape = val => {
+    const str = String(val ?? '');
+    return /[\t\r\n"]/.test(str) ? '"' + str.replace(/"/g, '""') + '"' : str;
+  };
+
+  const lines = [headers.map(escape).join('\t')];
+  for (const row of rows) {
+    lines.push(headers.map((_, i) => escape(row[i])).join('\t'));
+  }
+  return lines.join('\r\n');
+}
+
+function generateHTMLTable(headers, rows, caption) {
+  const cell = (tag, val) => `<${tag}>${escapeXML(val ?? '').replace(/\r?\n/g, '<br>')}</${tag}>`;
+
+  const lines = ['<table>'];
+  if (caption) lines.push(cell('caption', caption));
+  lines.push('<thead>', '<tr>' + headers.map(h => cell('th', h)).join('') + '</tr>', '</thead>', '<tbody>');
+  for (const row of rows) {
+    lines.push('<tr>' + headers.map((_, i) => cell('td', row[i])).join('') + '</tr>');
+  }
+  lines.push('</tbody>', '</table>');
+  return lines.join('\n');
+}
+
+// ═══════════════════════════════════════════════════════════
+// Markdown / HTML Generation
+// For pasting into Notion, GitHub issues and wikis
+// ═══════════════════════════════════════════════════════════
+
+// "People Search — Job Title: CEO · Location: Berlin", or null
+function buildTableCaption(meta) {
+  if (!meta) return null;
+  const fields = Object.entries(meta.searchFields || {}).map(([key, val]) => `${key}: ${val}`);
+  const title = meta.tableName || meta.sourceName || '';
+  if (!title && fields.length === 0) return null;
+  return [title, fields.join(' · ')].filter(Boolean).join(' — ');
+}
+
+// GFM pipe table. Pipes and backslashes are escaped and line breaks
+// become <br> so every record stays on one line
+function generateMarkdown(headers, rows, caption) {
+  const escape = val => String(val ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/\|/g, '\\|')
+    .replace(/\r?\n/g, '<br>')
+    .trim();
+  const line = cells => '| ' + cells.join(' | ') + ' |';
+
+  const lines = [];
+  if (caption) lines.push(`**${escape(caption).replace(/\*/g, '\\*')}**`, '');
+  lines.push(line(headers.map(escape)));
+  lines.push(line(headers.map(() => '---')));
+  for (const row of rows) {
+    lines.push(line(headers.map((_, i) => escape(row[i]))));
+  }
+  return lines.join('\n') + '\n';
+}
+
+function generateHTMLDocument(headers, rows, caption) {
+  const title = escapeXML(caption || 'Clay export');
+  return [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head>',
+    '<meta charset="UTF-8">',
+    `<title>${title}</title>`,
+    '<style>',
+    'body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; font-size: 13px; margin: 24px; }',
+    'table { border-collapse: collapse; }',
+    'caption { text-align: left; font-weight: 600; padding: 0 0 8px; }',
+    'th, td { border: 1px solid #e2e8f0; padding: 4px 8px; text-align: left; vertical-align: top; }',
+    'th { background: #f1f5f9; }',
+    '</style>',
+    '</head>',
+    '<body>',
+    generateHTMLTable(headers, rows, caption),
+    '</body>',
+    '</html>',
+    '',
+  ].join('\n');
+}
+
+// ═══════════════════════════════════════════════════════════
+// SQL Generation
+// A SQLite script: CREATE TABLE plus batched INSERTs, loadable with
+// `sqlite3 clay.db < export.sql`
+// ═══════════════════════════════════════════════════════════
+
+const SQL_INSERT_BATCH = 500;
+
+const SQL_COLUMN_TYPES = {
+  integer: 'INTEGER',
+  number: 'REAL',
+  boolean: 'INTEGER',
+};
+
+function generateSQL(table, meta) {
+  const tableName = toSQLIdentifier(meta?.tableName || meta?.sourceName || 'clay_export', 'clay_export');
+  const seen = new Map();
+  const columns = table.headers.map((h, i) => {
+    const id = toSQLIdentifier(h, `column_${i + 1}`);
+    const count = (seen.get(id) || 0) + 1;
+    seen.set(id, count);
+    return count === 1 ? id : `${id}_${count}`;
+  });
+
+  const lines = [
+    `-- Clay export: ${(meta?.tableName || tableName).replace(/\s+/g, ' ')}`,
+    `-- ${table.rows.length} rows, generated ${new Date().toISOString()}`,
+    '',
+    'BEGIN TRANSACTION;',
+    '',
+    `DROP TABLE IF EXISTS ${quoteSQLIdentifier(tableName)};`,
+    `CREATE TABLE ${quoteSQLIdentifier(tableName)} (`,
+    columns
+      .map((col, i) => `  ${quoteSQLIdentifier(col)} ${SQL_COLUMN_TYPES[table.schema?.[i]?.type] || 'TEXT'}`)
+      .join(',\n'),
+    ');',
+  ];
+
+  const columnList = columns.map(quoteSQLIdentifier).join(', ');
+  for (let start = 0; start < table.rows.length; start += SQL_INSERT_BATCH) {
+    const batch = table.rows.slice(start, start + SQL_INSERT_BATCH);
+    lines.push('', `INSERT INTO ${quoteSQLIdentifier(tableName)} (${columnList}) VALUES`);
+    lines.push(batch
+      .map(row => '  (' + columns.map((_, i) => toSQLLiteral(toTypedValue(row[i], table.schema?.[i]))).join(', ') + ')')
+      .join(',\n') + ';');
+  }
+
+  // The raw Clay search inputs, one row per parameter
+  const params = Object.entries(meta?.searchParams || {});
+  lines.push(
+    '',
+    'DROP TABLE IF EXISTS "_search_parameters";',
+    'CREATE TABLE "_search_parameters" (',
+    '  "key" TEXT PRIMARY KEY,',
+    '  "value" TEXT',
+    ');'
+  );
+  if (params.length > 0) {
+    lines.push('', 'INSERT INTO "_search_parameters" ("key", "value") VALUES');
+    lines.push(params
+      .map(([key, val]) => `  (${toSQLLiteral(key)}, ${toSQLLiteral(typeof val === 'string' ? val : JSON.stringify(val ?? null))})`)
+      .join(',\n') + ';');
+  }
+
+  lines.push('', 'COMMIT;', '');
+  return lines.join('\n');
+}
+
+// "Job Title (Current)" → "job_title_current"
+function toSQLIdentifier(name, fallback) {
+  const id = String(name ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .substring(0, 63);
+  if (!id) return fallback;
+  return /^\d/.test(id) ? `_${id}` : id;
+}
+
+function quoteSQLIdentifier(id) {
+  return '"' + id.replace(/"/g, '""') + '"';
+}
+
+// Typed values from toTypedValue(): lists are stored as JSON text
+function toSQLLiteral(value) {
+  if (value === null || value === undefined) return 'NULL';
+  if (typeof value === 'boolean') return value ? '1' : '0';
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : 'NULL';
+  const str = Array.isArray(value) ? JSON.stringify(value) : String(value);
+  return "'" + str.replace(/'/g, "''") + "'";
+}
+
+// ═══════════════════════════════════════════════════════════
+// Bundle Export
+// One .zip with the CSV, the JSON, a provenance manifest and,
+// optionally, the raw intercepted API responses
+// ═══════════════════════════════════════════════════════════
+
+// apiResponses: raw responses to include, or null
+async function generateBundle(table, source, request, apiResponses) {
+  const files = [
+    {
+      name: 'data.csv',
+      data: generateCSV(table.headers, table.rows, buildCSVDialect(request.options), source.tableMeta),
+    },
+    { name: 'data.json', data: generateJSON(table, source.tableMeta) },
+  ];
+
+  (apiResponses || []).forEach((response, i) => {
+    files.push({
+      name: `api/response_${String(i + 1).padStart(3, '0')}.json`,
+      data: JSON.stringify(response, null, 2),
+    });
+  });
+
+  const manifest = buildManifest(table, source, request, files.map(f => f.name));
+  files.unshift({ name: 'manifest.json', data: JSON.stringify(manifest, null, 2) });
+
+  return createZip(files);
+}
+
+function buildManifest(table, source, request, fileNames) {
+  const meta = source.tableMeta || {};
+  const ids = parseClayUrl(source.sourceUrl);
+
+  return {
+    extensionVersion: chrome.runtime.getManifest().version,
+    exportedAt: new Date().toISOString(),
+    table: {
+      name: meta.tableName || null,
+      source: meta.sourceName || null,
+      workspaceId: ids.workspaceId,
+      workbookId: ids.workbookId,
+      tableId: meta.tableId || ids.tableId,
+      viewId: ids.viewId,
+    },
+    sourceUrl: source.sourceUrl || null,
+    searchParams: meta.searchParams || null,
+    searchFields: meta.searchFields || null,
+    captureMethod: source.method || null,
+    capturedAt: source.capturedAt ? new Date(source.capturedAt).toISOString() : null,
+    snapshotId: source.snapshotId || null,
+    rowRange: request.range || null,
+    rowCount: table.rows.length,
+    columnCount: table.headers.length,
+    totalRowsCaptured: source.parsedTable.rows.length,
+    columns: table.headers.map((header, i) => {
+      const column = { header, fieldId: table.fieldIds?.[i] || null, type: table.schema?.[i]?.type || 'string' };
+      if (table.schema?.[i]?.itemType) column.itemType = table.schema[i].itemType;
+      return column;
+    }),
+    files: ['manifest.json', ...fileNames],
+  };
+}
+
+// ═══════════════════════════════════════════════════════════
+// Value Normalization
+// ═══════════════════════════════════════════════════════════
+
+const NAME_PREFIXES = /^(mr|mrs|ms|miss|mx|dr|prof)\.?\s+/i;
+
+// "Jane Q. Doe" → { first: 'Jane', last: 'Q. Doe' }; "Doe, Jane" → { first: 'Jane', last: 'Doe' }.
+// Anything after a comma that follows two or more words ("Jane Doe, PhD") is dropped.
+function splitFullName(value) {
+  let name = String(value ?? '').replace(/\s+/g, ' ').trim().replace(NAME_PREFIXES, '');
+  const comma = name.indexOf(',');
+  if (comma !== -1) {
+    const before = name.slice(0, comma).trim();
+    const after = name.slice(comma + 1).trim();
+    if (!before.includes(' ') && after) return { first: after, last: before };
+    name = before;
+  }
+  const space = name.indexOf(' ');
+  if (space === -1) return { first: name, last: '' };
+  return { first: name.slice(0, space), last: name.slice(space + 1) };
+}
+
+// "https://www.Acme.com/about?x=1" or "jane@acme.com" → "acme.com"
+function normalizeDomain(value) {
+  let str = String(value ?? '').trim().toLowerCase();
+  if (!str) return '';
+  if (str.includes('@') && !str.includes('/')) str = str.slice(str.lastIndexOf('@') + 1);
+  return str
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+    .replace(/^www\d*\./, '')
+    .split(/[/?#:]/)[0]
+    .replace(/\.$/, '');
+}
+
+// Any linkedin.com/in/... (or /company/, /school/) link → https://www.linkedin.com/in/<slug>
+function canonicalLinkedInUrl(value) {
+  const str = String(value ?? '').trim();
+  const match = str.match(/linkedin\.com\/(in|pub|company|school)\/([^/?#\s]+)/i);
+  if (!match) return str;
+  return `https://www.linkedin.com/${match[1].toLowerCase()}/${match[2]}`;
+}
+
+// " Jane@Acme.COM " or "mailto:jane@acme.com" → "jane@acme.com"
+function normalizeEmail(value) {
+  return String(value ?? '').trim().replace(/^mailto:/i, '').toLowerCase();
+}
+
+// National number rules for the default countries offered in the
+// popup: the length (without the trunk 0) or a pattern, and whether
+// national numbers are dialled with a trunk 0. North American numbers
+// have no trunk prefix and their area codes never start with 0 or 1.
+const NATIONAL_PHONE_RULES = {
+  1: { pattern: /^[2-9]\d{9}$/ },
+  31: { trunk: true, length: [9, 9] },
+  33: { trunk: true, length: [9, 9] },
+  34: { length: [9, 9] },
+  44: { trunk: true, length: [9, 10] },
+  49: { trunk: true, length: [6, 11] },
+  61: { trunk: true, length: [9, 9] },
+  91: { trunk: true, length: [10, 10] },
+};
+
+// "(415) 555-0100 ext. 12" → "+14155550100". Numbers without a "+" or
+// "00" prefix are taken as national numbers in countryCode and must
+// fit that country's rule. Anything that can't be converted is
+// returned unchanged.
+function toE164Phone(value, countryCode = '1') {
+  const str = String(value ?? '').trim();
+  const number = str.replace(/^tel:/i, '').replace(/\s*(?:ext\.?|x|#)\s*\d+$/i, '');
+  const digits = number.replace(/\D/g, '');
+  if (!digits) return str;
+
+  let international;
+  if (number.startsWith('+')) {
+    international = digits;
+  } else if (digits.startsWith('00')) {
+    international = digits.slice(2);
+  } else if (countryCode) {
+    const rule = NATIONAL_PHONE_RULES[countryCode] || { length: [4, 15 - countryCode.length] };
+    let national = digits;
+    if (countryCode === '1' && digits.length === 11 && digits.startsWith('1')) {
+      // "1 415 555 0100" already carries the North American country code
+      national = digits.slice(1);
+    } else if (rule.trunk) {
+      national = digits.replace(/^0/, '');
+    }
+    const valid = rule.pattern
+      ? rule.pattern.test(national)
+      : national.length >= rule.length[0] && national.length <= rule.length[1];
+    if (!valid) return str;
+    international = countryCode + national;
+  } else {
+    return str;
+  }
+
+  if (international.length < 8 || international.length > 15) return str;
+  return '+' + international;
+}
+
+const TRACKING_PARAMS = /^(utm_\w+|gclid|gbraid|wbraid|dclid|fbclid|msclkid|mc_cid|mc_eid|_hsenc|_hsmi|mkt_tok|igshid|li_fat_id|trk|trkInfo|ref_src)$/i;
+
+// Drops utm_* and other click-tracking parameters from a URL, leaving
+// the rest of it as written
+function stripTrackingParams(value) {
+  const str = String(value ?? '').trim();
+  const queryStart = str.indexOf('?');
+  if (queryStart === -1) return str;
+
+  const hashStart = str.indexOf('#', queryStart);
+  const query = str.slice(queryStart + 1, hashStart === -1 ? undefined : hashStart);
+  const hash = hashStart === -1 ? '' : str.slice(hashStart);
+  const kept = query.split('&').filter(part => part && !TRACKING_PARAMS.test(part.split('=')[0]));
+  return str.slice(0, queryStart) + (kept.length ? '?' + kept.join('&') : '') + hash;
+}
+
+// ═══════════════════════════════════════════════════════════
+// Column Transforms
+// Per-column value clean-up chosen in the column chooser and saved as
+// `transform` on column layout entries (and so with presets). Applied
+// to each item of multi-value cells; splitName turns one column into
+// two.
+// ═══════════════════════════════════════════════════════════
+
+const COLUMN_TRANSFORMS = {
+  splitName: {
+    parts: ['first', 'last'],
+    apply: value => {
+      const { first, last } = splitFullName(value);
+      return [first, last];
+    },
+  },
+  email: { apply: normalizeEmail },
+  phone: { apply: (value, options) => toE164Phone(value, options.phoneCountryCode ?? '1') },
+  stripTracking: { apply: stripTrackingParams },
+  linkedin: { apply: canonicalLinkedInUrl },
+  domain: { apply: normalizeDomain, type: 'string' },
+};
+
+// Layout columns ({ index, name, transform }) → export columns, with
+// a splitName column becoming "<name> (first)" and "<name> (last)"
+function expandColumnTransforms(columns) {
+  return columns.flatMap(column => {
+    const parts = COLUMN_TRANSFORMS[column.transform]?.parts;
+    if (!parts) return [column];
+    return parts.map((part, partIndex) => ({ ...column, name: `${column.name} (${part})`, partIndex }));
+  });
+}
+
+function transformCell(column, value, options) {
+  const spec = COLUMN_TRANSFORMS[column.transform];
+  if (!spec) return value;
+  if (spec.parts) return spec.apply(value, options)[column.partIndex];
+  return String(value ?? '')
+    .split(LIST_SEPARATOR)
+    .map(item => spec.apply(item, options))
+    .filter(Boolean)
+    .join(LIST_SEPARATOR);
+}
+
+// Schema entry for a transformed column
+function transformSchema(column, schema) {
+  const spec = COLUMN_TRANSFORMS[column.transform];
+  if (!spec) return schema;
+  if (spec.parts) return { name: schema.name, type: 'string' };
+  if (!spec.type) return schema;
+  return schema.type === 'list' ? { ...schema, itemType: spec.type } : { ...schema, type: spec.type };
+}
+
+// ═══════════════════════════════════════════════════════════
+// CRM Import Presets
+// Reshape an export into the columns a CRM's CSV importer expects.
+// A mapping is a list of { target, source, transform }: target is the
+// CRM column, source the captured header feeding it (or null) and
+// transform one of CRM_TRANSFORMS. Mappings are suggested from the
+// headers and, once edited, saved per table and preset.
+// ═══════════════════════════════════════════════════════════
+
+const CRM_MAPPING_KEY_PREFIX = 'crmMapping:';
+
+// Captured headers that can feed each kind of CRM field, best pattern first
+const CRM_SOURCE_COLUMNS = {
+  firstName: { match: [/^first[\s_-]*name$/i, /first[\s_-]*name|given[\s_-]*name/i] },
+  lastName: { match: [/^last[\s_-]*name$/i, /last[\s_-]*name|surname|family[\s_-]*name/i] },
+  fullName: { match: [/^(full[\s_-]*)?name$/i, /full[\s_-]*name|(person|contact)[\s_-]*name/i] },
+  email: { match: [/^(work[\s_-]*)?e-?mail$/i, /e-?mail/i] },
+  phone: { match: [/^phone([\s_-]*number)?$/i, /phone|mobile/i] },
+  jobTitle: { match: [/^(job[\s_-]*)?title$/i, /job[\s_-]*title|position|headline/i], exclude: /company|organi[sz]ation/i },
+  company: {
+    match: [/^(company|organi[sz]ation)([\s_-]*name)?$/i, /company[\s_-]*name|employer/i],
+    exclude: /domain|url|website|linkedin/i,
+  },
+  domain: { match: [/domain/i, /website|company[\s_-]*url/i], exclude: /linkedin|e-?mail/i },
+  linkedin: { match: [/linkedin[\s_-]*(profile|url)/i, /linkedin/i], exclude: /company|organi[sz]ation/i },
+  city: { match: [/city/i] },
+  state: { match: [/^(state|region|province)/i] },
+  country: { match: [/country/i] },
+};
+
+// [target column, kind of source column]
+const CRM_PRESETS = {
+  hubspot: {
+    label: 'HubSpot',
+    fields: [
+      ['First Name', 'firstName'], ['Last Name', 'lastName'], ['Email', 'email'], ['Phone Number', 'phone'],
+      ['Job Title', 'jobTitle'], ['Company Name', 'company'], ['Company Domain Name', 'domain'],
+      ['LinkedIn URL', 'linkedin'], ['City', 'city'], ['State/Region', 'state'], ['Country/Region', 'country'],
+    ],
+  },
+  salesforce: {
+    label: 'Salesforce',
+    fields: [
+      ['First Name', 'firstName'], ['Last Name', 'lastName'], ['Email', 'email'], ['Phone', 'phone'],
+      ['Title', 'jobTitle'], ['Company', 'company'], ['Website', 'domain'],
+      ['LinkedIn Profile', 'linkedin'], ['City', 'city'], ['State/Province', 'state'], ['Country', 'country'],
+    ],
+  },
+  pipedrive: {
+    label: 'Pipedrive',
+    fields: [
+      ['First name', 'firstName'], ['Last name', 'lastName'], ['Email', 'email'], ['Phone', 'phone'],
+      ['Job title', 'jobTitle'], ['Organization', 'company'], ['Organization website', 'domain'],
+      ['LinkedIn profile', 'linkedin'], ['City', 'city'], ['State', 'state'], ['Country', 'country'],
+    ],
+  },
+};
+
+const CRM_TRANSFORMS = {
+  firstName: value => splitFullName(value).first,
+  lastName: value => splitFullName(value).last,
+  domain: normalizeDomain,
+  linkedin: canonicalLinkedInUrl,
+};
+
+// The first header that looks like a `kind` column (see CRM_SOURCE_COLUMNS), skipping `used`
+function findSourceColumn(headers, kind, used = new Set()) {
+  const { match, exclude } = CRM_SOURCE_COLUMNS[kind];
+  for (const pattern of match) {
+    const header = headers.find(h => !used.has(h) && pattern.test(h) && !exclude?.test(h));
+    if (header) return header;
+  }
+  return null;
+}
+
+function suggestCrmMapping(preset, headers) {
+  const used = new Set();
+  const find = kind => findSourceColumn(headers, kind, used);
+
+  return CRM_PRESETS[preset].fields.map(([target, kind]) => {
+    const source = find(kind);
+    if (source) {
+      used.add(source);
+      return { target, source, transform: CRM_TRANSFORMS[kind] ? kind : null };
+    }
+    // No separate first/last name columns: split the full name
+    if (kind === 'firstName' || kind === 'lastName') {
+      const fullName = find('fullName');
+      if (fullName) return { target, source: fullName, transform: kind };
+    }
+    return { target, source: null, transform: null };
+  });
+}
+
+// table: an export table from buildExportTable(). Unknown or missing
+// source columns produce empty cells.
+function applyCrmMapping(table, mapping) {
+  const columns = mapping.map(m => (m.source ? table.headers.indexOf(m.source) : -1));
+  return {
+    headers: mapping.map(m => m.target),
+    rows: table.rows.map(row => mapping.map((m, c) => {
+      const value = columns[c] === -1 ? '' : String(row[columns[c]] ?? '');
+      const transform = CRM_TRANSFORMS[m.transform];
+      return transform && value ? transform(value) : value;
+    })),
+  };
+}
+
+function crmMappingKey(tableId, preset) {
+  return `${CRM_MAPPING_KEY_PREFIX}${tableId}:${preset}`;
+}
+
+// The saved mapping for this table, or one suggested from its headers
+async function loadCrmMapping(tableId, preset, headers) {
+  if (tableId) {
+    const key = crmMappingKey(tableId, preset);
+    const stored = await chrome.storage.local.get(key);
+    if (stored[key]) return { mapping: stored[key], saved: true };
+  }
+  return { mapping: suggestCrmMapping(preset, headers), saved: false };
+}
+
+function isValidCrmMapping(mapping) {
+  return Array.isArray(mapping) && mapping.every(m =>
+    m && typeof m.target === 'string' && m.target.trim() &&
+    (m.source === null || typeof m.source === 'string') &&
+    (m.transform === null || Object.hasOwn(CRM_TRANSFORMS, m.transform))
+  );
+}
+
+async function getCrmMapping(capture, preset, sendResponse) {
+  if (!CRM_PRESETS[preset]) {
+    sendResponse({ success: false, error: `Unknown CRM preset: ${preset}` });
+    return;
+  }
+  try {
+    const headers = capture.parsedTable?.headers || [];
+    const { mapping, saved } = await loadCrmMapping(capture.tableId, preset, headers);
+    sendResponse({ success: true, preset, headers, mapping, saved });
+  } catch (err) {
+    sendResponse({ success: false, error: err.message });
+  }
+}
+
+async function saveCrmMapping(capture, preset, mapping, sendResponse) {
+  if (!CRM_PRESETS[preset]) {
+    sendResponse({ success: false, error: `Unknown CRM preset: ${preset}` });
+    return;
+  }
+  if (!capture.tableId) {
+    sendResponse({ success: false, error: 'Open a Clay table to save its mapping' });
+    return;
+  }
+  if (!isValidCrmMapping(mapping)) {
+    sendResponse({ success: false, error: 'Every mapped column needs a name' });
+    return;
+  }
+
+  try {
+    await chrome.storage.local.set({ [crmMappingKey(capture.tableId, preset)]: mapping });
+    sendResponse({ success: true });
+  } catch (err) {
+    sendResponse({ success: false, error: err.message });
+  }
+}
+
+async function resetCrmMapping(capture, preset, sendResponse) {
+  if (!CRM_PRESETS[preset]) {
+    sendResponse({ success: false, error: `Unknown CRM preset: ${preset}` });
+    return;
+  }
+  try {
+    if (capture.tableId) await chrome.storage.local.remove(crmMappingKey(capture.tableId, preset));
+    const headers = capture.parsedTable?.headers || [];
+    sendResponse({ success: true, preset, headers, mapping: suggestCrmMapping(preset, headers), saved: false });
+  } catch (err) {
+    sendResponse({ success: false, error: err.message });
+  }
+}
+
+// CRM importers expect plain comma-separated UTF-8, whatever the CSV settings
+async function generateCrmCSV(capture, table, request) {
+  const preset = CRM_PRESETS[request.options?.crmPreset] ? request.options.crmPreset : 'hubspot';
+  const { mapping } = await loadCrmMapping(capture.tableId, preset, table.headers);
+  const crmTable = applyCrmMapping(table, mapping);
+  return { preset, content: generateCSV(crmTable.headers, crmTable.rows) };
+}
 
-    if (Array.isArray(val) && val.length > 0) {
-      const abbreviated = val.map(v => {
-        if (typeof v !== 'string') return String(v);
-        if (countries[v]) return countries[v];
-        if (/indian institute of technology/i.test(v)) return 'IIT';
-        if (/indian institute of management/i.test(v)) return 'IIM';
-        if (key.includes('industr')) {
-          return v.replace(/\band\b/gi, '&').replace(/\bServices\b/gi, 'Svc').replace(/\bTechnology\b/gi, 'Tech').replace(/\bManagement\b/gi, 'Mgmt').replace(/\bConsulting\b/gi, 'Consult').replace(/\bEngineering\b/gi, 'Eng').trim();
-        }
-        return v.substring(0, 25);
-      });
-      filenameParts.push(abbreviated.join('+'));
-    } else if (typeof val === 'number' && val > 0) {
-      filenameParts.push(`${key.replace(/_/g, '')}${val}`);
-    }
+// ═══════════════════════════════════════════════════════════
+// vCard Generation
+// One vCard 4.0 contact per row. The columns feeding each property
+// are detected from the headers and can be picked per table; picks
+// are saved under vcardColumns:<tableId>
+// ═══════════════════════════════════════════════════════════
+
+const VCARD_COLUMNS_KEY_PREFIX = 'vcardColumns:';
+
+// Contact fields, each fed by one captured column (or none)
+const VCARD_FIELDS = ['fullName', 'firstName', 'lastName', 'email', 'phone', 'jobTitle', 'company', 'linkedin', 'domain'];
+
+function detectVCardColumns(headers) {
+  const used = new Set();
+  const columns = {};
+  for (const field of VCARD_FIELDS) {
+    columns[field] = findSourceColumn(headers, field, used);
+    if (columns[field]) used.add(columns[field]);
   }
+  return columns;
+}
 
-  const sourceLabel = filenameParts.length > 0 ? filenameParts.join('_') : sourceName;
+async function loadVCardColumns(tableId, headers) {
+  if (tableId) {
+    const key = VCARD_COLUMNS_KEY_PREFIX + tableId;
+    const stored = await chrome.storage.local.get(key);
+    if (stored[key]) return { columns: stored[key], saved: true };
+  }
+  return { columns: detectVCardColumns(headers), saved: false };
+}
 
-  return {
-    success: true,
-    tableName,
-    sourceName,
-    sourceLabel,
-    totalRecords,
-    searchFields,
-    searchParams: inputs,
-  };
+async function getVCardColumns(capture, sendResponse) {
+  try {
+    const headers = capture.parsedTable?.headers || [];
+    const { columns, saved } = await loadVCardColumns(capture.tableId, headers);
+    sendResponse({ success: true, headers, columns, saved });
+  } catch (err) {
+    sendResponse({ success: false, error: err.message });
+  }
 }
 
-function buildSmartFilename(format, range) {
-  const meta = capturedData.tableMeta;
-  const parts = [];
+async function saveVCardColumns(capture, columns, sendResponse) {
+  if (!capture.tableId) {
+    sendResponse({ success: false, error: 'Open a Clay table to save its vCard columns' });
+    return;
+  }
+  const cleaned = {};
+  for (const field of VCARD_FIELDS) {
+    cleaned[field] = typeof columns?.[field] === 'string' && columns[field] ? columns[field] : null;
+  }
 
-  if (meta?.sourceLabel) {
-    parts.push(sanitizeFilename(meta.sourceLabel));
-  } else if (meta?.tableName) {
-    parts.push(sanitizeFilename(meta.tableName));
-  } else {
-    parts.push('clay-export');
+  try {
+    await chrome.storage.local.set({ [VCARD_COLUMNS_KEY_PREFIX + capture.tableId]: cleaned });
+    sendResponse({ success: true });
+  } catch (err) {
+    sendResponse({ success: false, error: err.message });
   }
+}
 
-  if (range) parts.push(`rows${range.start}-${range.end}`);
+async function resetVCardColumns(capture, sendResponse) {
+  try {
+    if (capture.tableId) await chrome.storage.local.remove(VCARD_COLUMNS_KEY_PREFIX + capture.tableId);
+    const headers = capture.parsedTable?.headers || [];
+    sendResponse({ success: true, headers, columns: detectVCardColumns(headers), saved: false });
+  } catch (err) {
+    sendResponse({ success: false, error: err.message });
+  }
+}
 
-  return parts.join('_') + '.' + format;
+const NO_VCARD_CONTACTS_ERROR = 'No contacts found — pick a name, email or phone column';
+
+async function generateVCardFile(capture, table) {
+  const { columns } = await loadVCardColumns(capture.tableId, table.headers);
+  return generateVCards(table, columns);
 }
 
-function sanitizeFilename(str) {
-  return str
-    .replace(/[<>:"/\\|?*]/g, '') // remove invalid chars
-    .replace(/\s+/g, '_')         // spaces to underscores
-    .replace(/_+/g, '_')          // collapse multiple underscores
-    .replace(/^_|_$/g, '')        // trim underscores
-    .substring(0, 80);            // limit length
+// table: an export table from buildExportTable(). Rows without a name,
+// email or phone are skipped. Returns { content, count }.
+function generateVCards(table, columns) {
+  const index = {};
+  for (const field of VCARD_FIELDS) {
+    index[field] = columns[field] ? table.headers.indexOf(columns[field]) : -1;
+  }
+  const cell = (row, field) => (index[field] === -1 ? '' : String(row[index[field]] ?? '').trim());
+  // Multi-value cells were joined with LIST_SEPARATOR when flattened
+  const values = (row, field) => [...new Set(cell(row, field).split(LIST_SEPARATOR).map(v => v.trim()).filter(Boolean))];
+
+  const cards = [];
+  for (const row of table.rows) {
+    const split = splitFullName(cell(row, 'fullName'));
+    const first = cell(row, 'firstName') || (index.firstName === -1 ? split.first : '');
+    const last = cell(row, 'lastName') || (index.lastName === -1 ? split.last : '');
+    const emails = values(row, 'email');
+    const phones = values(row, 'phone');
+    const company = cell(row, 'company');
+    const fullName = cell(row, 'fullName') || [first, last].filter(Boolean).join(' ');
+    if (!fullName && emails.length === 0 && phones.length === 0) continue;
+
+    const lines = ['BEGIN:VCARD', 'VERSION:4.0'];
+    // FN is required; fall back to whatever identifies the contact
+    lines.push('FN:' + escapeVCardText(fullName || emails[0] || company || phones[0]));
+    if (first || last) lines.push(`N:${escapeVCardText(last)};${escapeVCardText(first)};;;`);
+    emails.forEach((email, i) => lines.push(`EMAIL;TYPE=work${i === 0 ? ';PREF=1' : ''}:${escapeVCardText(email)}`));
+    phones.forEach((phone, i) => lines.push(vCardPhoneLine(phone, i === 0)));
+    if (cell(row, 'jobTitle')) lines.push('TITLE:' + escapeVCardText(cell(row, 'jobTitle')));
+    if (company) lines.push('ORG:' + escapeVCardText(company));
+    if (cell(row, 'linkedin')) lines.push('URL;TYPE=work:' + canonicalLinkedInUrl(cell(row, 'linkedin')));
+    const domain = normalizeDomain(cell(row, 'domain'));
+    if (domain) lines.push(`URL;TYPE=work:https://${domain}`);
+    lines.push('END:VCARD');
+
+    cards.push(lines.map(foldVCardLine).join('\r\n'));
+  }
+
+  return { content: cards.length > 0 ? cards.join('\r\n') + '\r\n' : '', count: cards.length };
+}
+
+// Dialable numbers become tel: URIs; anything else is kept as text
+function vCardPhoneLine(phone, preferred) {
+  const pref = preferred ? ';PREF=1' : '';
+  const dialable = phone.replace(/[\s().-]/g, '');
+  if (/^\+?\d{4,}$/.test(dialable)) return `TEL;TYPE=work${pref};VALUE=uri:tel:${dialable}`;
+  return `TEL;TYPE=work${pref};VALUE=text:${escapeVCardText(phone)}`;
+}
+
+function escapeVCardText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/,/g, '\\,')
+    .replace(/;/g, '\\;')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets are folded with CRLF + space (RFC 6350 §3.2)
+function foldVCardLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const charSize = encoder.encode(char).length;
+    if (size + charSize > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
 }
 
 // ═══════════════════════════════════════════════════════════
-// CSV / JSON Generation
+// Column Layout
+// Which columns are exported, in what order and under what name.
+// A layout is a list of { key, name, include, transform }: key is the
+// column's field ID (or its header when there is none), name its export
+// label and transform an optional COLUMN_TRANSFORMS key.
+// Stored per table under columnLayout:<tableId> as
+// { current: layout | null, presets: { [name]: layout } }.
 // ═══════════════════════════════════════════════════════════
 
-function buildSearchMetadata() {
-  const meta = capturedData.tableMeta;
-  if (!meta) return null;
+const COLUMN_LAYOUT_KEY_PREFIX = 'columnLayout:';
 
-  const result = {};
-  if (meta.tableName) result['Table Name'] = meta.tableName;
-  if (meta.sourceName) result['Source'] = meta.sourceName;
-  if (meta.totalRecords) result['Total Records'] = meta.totalRecords;
+// CRM and vCard exports pick their own columns by original header
+const OWN_COLUMN_FORMATS = new Set(['crm', 'vcf']);
 
-  // Include all search fields the user entered
-  if (meta.searchFields) {
-    Object.assign(result, meta.searchFields);
+function columnKey(parsedTable, index) {
+  return parsedTable.fieldIds?.[index] || parsedTable.headers[index];
+}
+
+// Every column of parsedTable as { key, header, name, include, transform, index },
+// in layout order. Columns the layout doesn't know (captured since it
+// was saved) are appended and included; layout entries for columns no
+// longer present are dropped.
+function mergeColumnLayout(parsedTable, layout) {
+  const used = new Set();
+  const entries = [];
+
+  for (const entry of layout || []) {
+    const index = parsedTable.headers.findIndex((_, i) => !used.has(i) && columnKey(parsedTable, i) === entry.key);
+    if (index === -1) continue;
+    used.add(index);
+    entries.push({
+      key: entry.key,
+      header: parsedTable.headers[index],
+      name: entry.name || parsedTable.headers[index],
+      include: entry.include !== false,
+      transform: Object.hasOwn(COLUMN_TRANSFORMS, entry.transform ?? '') ? entry.transform : null,
+      index,
+    });
   }
 
-  return Object.keys(result).length > 0 ? result : null;
+  parsedTable.headers.forEach((header, index) => {
+    if (used.has(index)) return;
+    entries.push({ key: columnKey(parsedTable, index), header, name: header, include: true, transform: null, index });
+  });
+  return entries;
 }
 
-function generateCSV(headers, rows) {
-  const escape = val => {
-    const str = String(val ?? '');
-    return '"' + str.replace(/"/g, '""') + '"';
-  };
+// [{ index, name, transform }] for the included columns, in export order
+function resolveColumnLayout(parsedTable, layout) {
+  return mergeColumnLayout(parsedTable, layout)
+    .filter(entry => entry.include)
+    .map(({ index, name, transform }) => ({ index, name, transform }));
+}
 
-  const lines = [];
+function isValidColumnLayout(layout) {
+  return Array.isArray(layout) && layout.every(entry =>
+    entry && typeof entry.key === 'string' && typeof entry.name === 'string' && typeof entry.include === 'boolean'
+      && (entry.transform == null || Object.hasOwn(COLUMN_TRANSFORMS, entry.transform))
+  );
+}
 
-  // Header row + data rows only (no metadata)
-  lines.push(headers.map(escape).join(','));
-  for (const row of rows) {
-    const paddedRow = headers.map((_, i) => escape(row[i]));
-    lines.push(paddedRow.join(','));
+async function loadColumnSettings(tableId) {
+  if (!tableId) return { current: null, presets: {} };
+  const key = COLUMN_LAYOUT_KEY_PREFIX + tableId;
+  const stored = await chrome.storage.local.get(key);
+  return stored[key] || { current: null, presets: {} };
+}
+
+async function loadColumnLayout(tableId) {
+  return (await loadColumnSettings(tableId)).current;
+}
+
+async function storeColumnSettings(capture, settings, sendResponse) {
+  await chrome.storage.local.set({ [COLUMN_LAYOUT_KEY_PREFIX + capture.tableId]: settings });
+  sendResponse(describeColumnSettings(capture, settings));
+}
+
+function describeColumnSettings(capture, settings) {
+  const columns = capture.parsedTable
+    ? mergeColumnLayout(capture.parsedTable, settings.current)
+      .map(({ key, header, name, include, transform }) => ({ key, header, name, include, transform }))
+    : [];
+  return { success: true, columns, presets: Object.keys(settings.presets).sort() };
+}
+
+async function getColumnLayout(capture, sendResponse) {
+  try {
+    sendResponse(describeColumnSettings(capture, await loadColumnSettings(capture.tableId)));
+  } catch (err) {
+    sendResponse({ success: false, error: err.message });
   }
-  return '\uFEFF' + lines.join('\r\n'); // BOM for Excel UTF-8 compatibility
 }
 
-function generateJSON(headers, rows) {
-  const records = rows.map(row => {
-    const obj = {};
-    headers.forEach((h, i) => {
-      obj[h] = row[i] ?? '';
+// layout: null resets to every column in captured order
+async function saveColumnLayout(capture, layout, sendResponse) {
+  if (!capture.tableId) {
+    sendResponse({ success: false, error: 'Open a Clay table to save its columns' });
+    return;
+  }
+  if (layout !== null && !isValidColumnLayout(layout)) {
+    sendResponse({ success: false, error: 'Invalid column layout' });
+    return;
+  }
+
+  try {
+    const settings = await loadColumnSettings(capture.tableId);
+    settings.current = layout;
+    await storeColumnSettings(capture, settings, sendResponse);
+  } catch (err) {
+    sendResponse({ success: false, error: err.message });
+  }
+}
+
+async function saveColumnPreset(capture, name, sendResponse) {
+  const trimmed = (name || '').trim();
+  if (!trimmed) {
+    sendResponse({ success: false, error: 'Preset name cannot be empty' });
+    return;
+  }
+  if (!capture.tableId || !capture.parsedTable) {
+    sendResponse({ success: false, error: 'No data captured yet' });
+    return;
+  }
+
+  try {
+    const settings = await loadColumnSettings(capture.tableId);
+    settings.presets[trimmed] = mergeColumnLayout(capture.parsedTable, settings.current)
+      .map(({ key, name: columnName, include, transform }) => ({ key, name: columnName, include, transform }));
+    await storeColumnSettings(capture, settings, sendResponse);
+  } catch (err) {
+    sendResponse({ success: false, error: err.message });
+  }
+}
+
+async function applyColumnPreset(capture, name, sendResponse) {
+  try {
+    const settings = await loadColumnSettings(capture.tableId);
+    if (!settings.presets[name]) {
+      sendResponse({ success: false, error: 'Preset not found' });
+      return;
+    }
+    settings.current = settings.presets[name];
+    await storeColumnSettings(capture, settings, sendResponse);
+  } catch (err) {
+    sendResponse({ success: false, error: err.message });
+  }
+}
+
+async function deleteColumnPreset(capture, name, sendResponse) {
+  try {
+    const settings = await loadColumnSettings(capture.tableId);
+    if (!settings.presets[name]) {
+      sendResponse({ success: false, error: 'Preset not found' });
+      return;
+    }
+    delete settings.presets[name];
+    await storeColumnSettings(capture, settings, sendResponse);
+  } catch (err) {
+    sendResponse({ success: false, error: err.message });
+  }
+}
+
+// ═══════════════════════════════════════════════════════════
+// Row Filters
+// filter: { match: 'all' | 'any', conditions: [{ column, op, value }] }
+// where column is a column key (see columnKey()) and op one of
+// ROW_FILTER_OPS. Applied after the row range, before export.
+// ═══════════════════════════════════════════════════════════
+
+// Comparisons are case-insensitive. List cells ("a; b") also equal any single item.
+const ROW_FILTER_OPS = {
+  equals: (cell, value) => {
+    const str = cell.trim().toLowerCase();
+    return str === value || str.split(LIST_SEPARATOR).some(item => item.trim() === value);
+  },
+  contains: (cell, value) => cell.toLowerCase().includes(value),
+  regex: (cell, pattern) => pattern.test(cell),
+  empty: cell => cell.trim() === '',
+  not_empty: cell => cell.trim() !== '',
+  eq: (cell, value) => compareNumbers(cell, value, diff => diff === 0),
+  gt: (cell, value) => compareNumbers(cell, value, diff => diff > 0),
+  gte: (cell, value) => compareNumbers(cell, value, diff => diff >= 0),
+  lt: (cell, value) => compareNumbers(cell, value, diff => diff < 0),
+  lte: (cell, value) => compareNumbers(cell, value, diff => diff <= 0),
+  before: (cell, value) => compareDates(cell, value, diff => diff < 0),
+  after: (cell, value) => compareDates(cell, value, diff => diff > 0),
+};
+
+// "1,200" → 1200; null when the text isn't a number
+function parseNumberValue(value) {
+  const str = String(value ?? '').trim().replace(/[,\s]/g, '');
+  if (!str || !/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(str)) return null;
+  return Number(str);
+}
+
+function compareNumbers(cell, value, test) {
+  const number = parseNumberValue(cell);
+  return number !== null && test(number - value);
+}
+
+function compareDates(cell, value, test) {
+  const date = parseDateValue(cell.trim());
+  return date !== null && test(Date.parse(date.iso) - value);
+}
+
+// Checks the filter against the table once and returns a row test,
+// or null when there's nothing to filter. Throws on a bad condition.
+function compileRowFilter(parsedTable, filter) {
+  const conditions = filter?.conditions || [];
+  if (conditions.length === 0) return null;
+
+  const tests = conditions.map(condition => {
+    const op = ROW_FILTER_OPS[condition.op];
+    if (!op) throw new Error(`Unknown filter condition: ${condition.op}`);
+
+    const index = parsedTable.headers.findIndex((_, i) => columnKey(parsedTable, i) === condition.column);
+    if (index === -1) throw new Error(`Filter column not found: ${condition.column}`);
+
+    const raw = String(condition.value ?? '').trim();
+    let value = raw.toLowerCase();
+    if (condition.op === 'regex') {
+      try {
+        value = new RegExp(raw, 'i');
+      } catch (err) {
+        throw new Error(`Invalid regex in filter: ${raw}`);
+      }
+    } else if (['eq', 'gt', 'gte', 'lt', 'lte'].includes(condition.op)) {
+      value = parseNumberValue(raw);
+      if (value === null) throw new Error(`Filter needs a number: "${raw}"`);
+    } else if (condition.op === 'before' || condition.op === 'after') {
+      const date = parseDateValue(raw);
+      if (!date) throw new Error(`Filter needs a date like 2024-01-31: "${raw}"`);
+      value = Date.parse(date.iso);
+    }
+
+    return row => op(String(row[index] ?? ''), value);
+  });
+
+  return filter.match === 'any'
+    ? row => tests.some(test => test(row))
+    : row => tests.every(test => test(row));
+}
+
+// ═══════════════════════════════════════════════════════════
+// Row Deduplication
+// Rows with the same key column values collapse into one, after the
+// row range and filter. dedupe: { keys: [columnKey], strategy,
+// normalize: { case, trailingSlash, www } }.
+// ═══════════════════════════════════════════════════════════
+
+const DEDUPE_STRATEGIES = new Set(['first', 'last', 'merge']);
+
+function normalizeDedupeValue(value, normalize) {
+  let str = String(value ?? '').trim();
+  if (normalize.case) str = str.toLowerCase();
+  if (normalize.www) str = str.replace(/^((?:https?:\/\/)?)www\./i, '$1');
+  if (normalize.trailingSlash) str = str.replace(/\/+$/, '');
+  return str;
+}
+
+// Groups rowIndexes by key and returns one record per group:
+// { index, sources } where index is the row kept (its row ID is the
+// one exported) and sources, for "merge", gives the row each column's
+// value comes from. Rows with every key cell empty are never merged.
+function dedupeRows(parsedTable, rowIndexes, dedupe) {
+  const keys = dedupe?.keys || [];
+  if (keys.length === 0) return null;
+
+  const strategy = dedupe.strategy || 'first';
+  if (!DEDUPE_STRATEGIES.has(strategy)) throw new Error(`Unknown merge strategy: ${strategy}`);
+  const keyIndexes = keys.map(key => {
+    const index = parsedTable.headers.findIndex((_, i) => columnKey(parsedTable, i) === key);
+    if (index === -1) throw new Error(`Dedupe column not found: ${key}`);
+    return index;
+  });
+  const normalize = dedupe.normalize || {};
+
+  const groups = new Map();
+  const order = [];
+  for (const i of rowIndexes) {
+    const parts = keyIndexes.map(c => normalizeDedupeValue(parsedTable.rows[i][c], normalize));
+    if (parts.every(part => part === '')) {
+      order.push([i]);
+      continue;
+    }
+    const key = JSON.stringify(parts);
+    const group = groups.get(key);
+    if (group) {
+      group.push(i);
+    } else {
+      const created = [i];
+      groups.set(key, created);
+      order.push(created);
+    }
+  }
+
+  return order.map(group => {
+    if (strategy === 'last') return { index: group[group.length - 1], sources: null };
+    if (strategy === 'first' || group.length === 1) return { index: group[0], sources: null };
+    // merge: first non-empty value per column, in row order
+    const sources = parsedTable.headers.map((_, c) => {
+      const filled = group.find(i => String(parsedTable.rows[i][c] ?? '').trim() !== '');
+      return filled === undefined ? group[0] : filled;
     });
-    return obj;
+    return { index: group[0], sources };
   });
+}
 
-  // Wrap with metadata
-  const metadata = buildSearchMetadata();
-  if (metadata) {
-    return JSON.stringify({
-      _searchParameters: metadata,
-      data: records,
-    }, null, 2);
+// Reports how many rows the dedupe settings would collapse in the
+// current selection, so the popup can show it before exporting.
+// request: { range, filter, dedupe, snapshotId }
+async function countDuplicates(capture, request, sendResponse) {
+  try {
+    const source = await loadExportSource(capture, request.snapshotId);
+    if (!source) {
+      sendResponse({ success: false, error: request.snapshotId ? 'Snapshot not found' : 'No data captured yet' });
+      return;
+    }
+    const table = buildExportTable(source, { range: request.range, filter: request.filter, dedupe: request.dedupe });
+    sendResponse({
+      success: true,
+      rowCount: table.rows.length,
+      collapsedCount: table.collapsedCount,
+    });
+  } catch (err) {
+    sendResponse({ success: false, error: err.message });
+  }
+}
+
+// ═══════════════════════════════════════════════════════════
+// Multi-value Expansion
+// Spreads one multi-value column (several emails, tags, links) over
+// several rows or numbered columns. explode: { column: columnKey,
+// mode: 'rows' | 'columns' }.
+// ═══════════════════════════════════════════════════════════
+
+const EXPLODE_MODES = new Set(['rows', 'columns']);
+
+// The values in one cell as [{ text, raw }]: the items of the original
+// API array when the cell came from one, otherwise its text split on
+// LIST_SEPARATOR
+function multiValueItems(parsedTable, record, column, text, options) {
+  const raw = parsedTable.rawRows?.[record.sources?.[column.index] ?? record.index]?.[column.index];
+  if (Array.isArray(raw)) {
+    return raw
+      .map(item => {
+        const itemText = transformCell(column, flattenValue(item), options);
+        return { text: itemText, raw: column.transform ? itemText : item };
+      })
+      .filter(item => item.text !== '');
   }
+  return String(text ?? '')
+    .split(LIST_SEPARATOR)
+    .map(item => item.trim())
+    .filter(Boolean)
+    .map(item => ({ text: item, raw: item }));
+}
 
-  return JSON.stringify(records, null, 2);
+// table: the export table under construction, { columns, headers,
+// fieldIds, schema, rows, rawRows, records } with records parallel to
+// rows. Returns it with the explode column spread out.
+function explodeMultiValueColumn(parsedTable, table, explode, options) {
+  if (!explode?.column) return table;
+  if (!EXPLODE_MODES.has(explode.mode)) throw new Error(`Unknown expand mode: ${explode.mode}`);
+
+  const target = table.columns.findIndex(c => columnKey(parsedTable, c.index) === explode.column && c.partIndex === undefined);
+  if (target === -1) throw new Error('The column to expand is not in the export');
+
+  const column = table.columns[target];
+  const items = table.records.map((record, r) => multiValueItems(parsedTable, record, column, table.rows[r][target], options));
+  const { name, type, itemType } = table.schema[target];
+  const itemSchema = { name, type: type === 'list' ? itemType || 'string' : type };
+  const replaceAt = (row, value) => [...row.slice(0, target), value, ...row.slice(target + 1)];
+
+  if (explode.mode === 'rows') {
+    const rows = [];
+    const rawRows = table.rawRows ? [] : null;
+    const records = [];
+    table.records.forEach((record, r) => {
+      // Empty cells keep their row
+      const values = items[r].length ? items[r] : [{ text: table.rows[r][target], raw: table.rawRows?.[r][target] ?? null }];
+      for (const value of values) {
+        rows.push(replaceAt(table.rows[r], value.text));
+        if (rawRows) rawRows.push(replaceAt(table.rawRows[r], value.raw));
+        records.push(record);
+      }
+    });
+    return { ...table, schema: replaceAt(table.schema, itemSchema), rows, rawRows, records };
+  }
+
+  const count = items.reduce((max, values) => Math.max(max, values.length), 1);
+  const spread = (row, fill) => [
+    ...row.slice(0, target),
+    ...Array.from({ length: count }, (_, k) => fill(k)),
+    ...row.slice(target + 1),
+  ];
+  return {
+    ...table,
+    columns: spread(table.columns, () => column),
+    headers: spread(table.headers, k => `${name} ${k + 1}`),
+    fieldIds: table.fieldIds ? spread(table.fieldIds, () => table.fieldIds[target]) : null,
+    schema: spread(table.schema, k => ({ ...itemSchema, name: `${name} ${k + 1}` })),
+    rows: table.rows.map((row, r) => spread(row, k => items[r][k]?.text ?? '')),
+    rawRows: table.rawRows ? table.rawRows.map((row, r) => spread(row, k => items[r][k]?.raw ?? null)) : null,
+  };
 }
 
 // ═══════════════════════════════════════════════════════════
@@ -555,37 +3188,196 @@ function generateJSON(headers, rows) {
 // ═══════════════════════════════════════════════════════════
 
 // Apply row range to rows array. Range is 1-indexed inclusive, or null for all.
+// range: { start, end }, or a selection { include: [[start, end], ...],
+// exclude: [[start, end], ...] } as parsed from "1-10, 15, !5". Row
+// numbers are 1-indexed and inclusive; an empty include list means
+// every row. Rows keep their table order.
 function applyRange(rows, range) {
   if (!range) return rows;
-  // range.start and range.end are 1-indexed inclusive
-  return rows.slice(range.start - 1, range.end);
+  const { include, exclude } = normalizeRowSelection(range);
+  const inRanges = (ranges, n) => ranges.some(([start, end]) => n >= start && n <= end);
+  return rows.filter((_, i) => (include.length === 0 || inRanges(include, i + 1)) && !inRanges(exclude, i + 1));
 }
 
-async function exportAsFile(format, range, sendResponse) {
-  if (!capturedData.parsedTable) {
-    sendResponse({ success: false, error: 'No data captured yet' });
-    return;
+function normalizeRowSelection(range) {
+  if (range.include || range.exclude) {
+    return { include: range.include || [], exclude: range.exclude || [] };
+  }
+  return { include: [[range.start, range.end]], exclude: [] };
+}
+
+// { include: [[1, 10], [15, 15]], exclude: [[5, 5]] } → "rows1-10+15_not5".
+// Long lists are cut to their first three ranges and a count.
+function formatRowSelection(range) {
+  const { include, exclude } = normalizeRowSelection(range);
+  const compact = ranges => {
+    const items = ranges.map(([start, end]) => (start === end ? `${start}` : `${start}-${end}`));
+    return items.length > 4 ? `${items.slice(0, 3).join('+')}+${items.length - 3}more` : items.join('+');
+  };
+
+  const parts = [];
+  if (include.length > 0) parts.push('rows' + compact(include));
+  if (exclude.length > 0) parts.push('not' + compact(exclude));
+  return parts.join('_');
+}
+
+const ROW_ID_COLUMN = '_clay_row_id';
+
+// Shapes the table an export writes from an export source (see
+// loadExportSource) and the export request ({ range, options }).
+// Returns { headers, rows, fieldIds, schema, includeClayIds }, where
+// schema[i] describes headers[i].
+//   options.includeClayIds — prepend a _clay_row_id column, and let the JSON
+//                            exporter add its column → field ID map
+// columnLayout: the table's saved column layout, or null for every
+// column in captured order. Throws when request.filter is invalid.
+function buildExportTable(source, request, columnLayout = null) {
+  const { parsedTable } = source;
+  const options = request.options || {};
+  const rowFilter = compileRowFilter(parsedTable, request.filter);
+  let rowIndexes = applyRange(parsedTable.rows.map((_, i) => i), request.range);
+  if (rowFilter) rowIndexes = rowIndexes.filter(i => rowFilter(parsedTable.rows[i]));
+  const records = dedupeRows(parsedTable, rowIndexes, request.dedupe)
+    || rowIndexes.map(index => ({ index, sources: null }));
+  const columns = expandColumnTransforms(columnLayout
+    ? resolveColumnLayout(parsedTable, columnLayout)
+    : parsedTable.headers.map((name, index) => ({ index, name })));
+  const baseSchema = source.schema || [];
+  const cell = (sourceRows, record, c) => sourceRows[record.sources?.[c.index] ?? record.index][c.index];
+
+  const expanded = explodeMultiValueColumn(parsedTable, {
+    columns,
+    headers: columns.map(c => c.name),
+    fieldIds: parsedTable.fieldIds ? columns.map(c => parsedTable.fieldIds[c.index]) : null,
+    schema: columns.map(c => transformSchema(c, { type: 'string', ...baseSchema[c.index], name: c.name })),
+    rows: records.map(record => columns.map(c => transformCell(c, cell(parsedTable.rows, record, c), options))),
+    // Original API values, only for "raw structured" JSON exports. Transformed
+    // columns export their transformed text.
+    rawRows: options.rawValues && parsedTable.rawRows
+      ? records.map(record => columns.map(c => (c.transform ? transformCell(c, cell(parsedTable.rows, record, c), options) : cell(parsedTable.rawRows, record, c))))
+      : null,
+    records,
+  }, request.explode, options);
+  let { headers, fieldIds, schema, rows, rawRows } = expanded;
+
+  if (options.includeClayIds) {
+    const rowId = r => parsedTable.rowIds?.[expanded.records[r].index];
+    headers = [ROW_ID_COLUMN, ...headers];
+    fieldIds = fieldIds ? [null, ...fieldIds] : null;
+    schema = [{ name: ROW_ID_COLUMN, type: 'string' }, ...schema];
+    rows = rows.map((row, r) => [rowId(r) || '', ...row]);
+    if (rawRows) rawRows = rawRows.map((row, r) => [rowId(r) || null, ...row]);
   }
 
-  const { headers } = capturedData.parsedTable;
-  const rows = applyRange(capturedData.parsedTable.rows, range);
-  let content, mimeType, extension;
+  return {
+    headers,
+    rows,
+    rawRows,
+    fieldIds,
+    schema,
+    includeClayIds: !!options.includeClayIds,
+    collapsedCount: rowIndexes.length - records.length,
+  };
+}
+
+// buildExportTable() with the table's column layout. Throws when the
+// request leaves nothing to export.
+async function prepareExportTable(capture, source, request, format) {
+  // CRM and vCard find their columns by header, so they skip the layout
+  // and multi-value expansion
+  const ownColumns = OWN_COLUMN_FORMATS.has(format);
+  const columnLayout = ownColumns ? null : await loadColumnLayout(capture.tableId);
+  const table = buildExportTable(source, ownColumns ? { ...request, explode: null } : request, columnLayout);
+  if (table.headers.length === 0) throw new Error('No columns selected');
+  if (table.rows.length === 0 && request.filter?.conditions?.length) throw new Error('No rows match the filter');
+  return table;
+}
 
-  if (format === 'json') {
-    content = generateJSON(headers, rows);
-    mimeType = 'application/json';
-    extension = 'json';
-  } else {
-    content = generateCSV(headers, rows);
-    mimeType = 'text/csv';
-    extension = 'csv';
+// request: { range, filter, dedupe, explode, options, snapshotId } — snapshotId exports a
+// saved snapshot instead of the live capture
+async function exportAsFile(capture, format, request, sendResponse) {
+  // Storage, generator and zip failures must still answer the popup
+  try {
+    const { range } = request;
+    const source = await loadExportSource(capture, request.snapshotId);
+    if (!source) {
+      sendResponse({ success: false, error: request.snapshotId ? 'Snapshot not found' : 'No data captured yet' });
+      return;
+    }
+
+    const table = await prepareExportTable(capture, source, request, format);
+    let content, mimeType, extension, filenameSuffix;
+
+    if (format === 'json') {
+      content = generateJSON(table, source.tableMeta);
+      mimeType = 'application/json';
+      extension = 'json';
+    } else if (format === 'ndjson') {
+      content = generateNDJSON(table, source, !!request.options?.ndjsonMetadata);
+      mimeType = 'application/x-ndjson';
+      extension = 'ndjson';
+    } else if (format === 'md') {
+      content = generateMarkdown(table.headers, table.rows, exportCaption(source, request));
+      mimeType = 'text/markdown';
+      extension = 'md';
+    } else if (format === 'html') {
+      content = generateHTMLDocument(table.headers, table.rows, exportCaption(source, request));
+      mimeType = 'text/html';
+      extension = 'html';
+    } else if (format === 'sql') {
+      content = generateSQL(table, source.tableMeta);
+      mimeType = 'application/sql';
+      extension = 'sql';
+    } else if (format === 'zip') {
+      // Raw responses belong to the live capture, so snapshots never include them
+      const apiResponses = request.options?.bundleRawApi && !request.snapshotId ? capture.apiResponses : null;
+      content = await generateBundle(table, source, request, apiResponses);
+      mimeType = 'application/zip';
+      extension = 'zip';
+    } else if (format === 'xlsx') {
+      content = await generateXLSX(table, source.tableMeta);
+      mimeType = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+      extension = 'xlsx';
+    } else if (format === 'vcf') {
+      const vcards = await generateVCardFile(capture, table);
+      if (vcards.count === 0) {
+        sendResponse({ success: false, error: NO_VCARD_CONTACTS_ERROR });
+        return;
+      }
+      content = vcards.content;
+      mimeType = 'text/vcard';
+      extension = 'vcf';
+    } else if (format === 'crm') {
+      const crm = await generateCrmCSV(capture, table, request);
+      content = crm.content;
+      mimeType = 'text/csv';
+      extension = 'csv';
+      filenameSuffix = crm.preset;
+    } else {
+      content = generateCSV(table.headers, table.rows, buildCSVDialect(request.options), source.tableMeta);
+      mimeType = 'text/csv';
+      extension = 'csv';
+    }
+
+    const filename = buildSmartFilename(source, extension, range, filenameSuffix);
+    const result = await downloadFile(content, mimeType, filename);
+    sendResponse({ ...result, rowCount: table.rows.length, collapsedCount: table.collapsedCount });
+  } catch (err) {
+    sendResponse({ success: false, error: err.message });
   }
+}
 
-  const filename = buildSmartFilename(extension, range);
+function exportCaption(source, request) {
+  return request.options?.includeCaption ? buildTableCaption(source.tableMeta) : null;
+}
 
+// content: text, or a Uint8Array for binary formats
+async function downloadFile(content, mimeType, filename) {
   try {
     // Use data URL approach (works reliably in service workers)
-    const base64 = btoa(unescape(encodeURIComponent(content)));
+    const base64 = typeof content === 'string'
+      ? btoa(unescape(encodeURIComponent(content)))
+      : bytesToBase64(content);
     const dataUrl = `data:${mimeType};base64,${base64}`;
 
     await chrome.downloads.download({
@@ -594,26 +3386,84 @@ async function exportAsFile(format, range, sendResponse) {
       saveAs: true,
     });
 
-    sendResponse({ success: true, filename });
+    return { success: true, filename };
   } catch (err) {
-    sendResponse({ success: false, error: `Download failed: ${err.message}` });
+    return { success: false, error: `Download failed: ${err.message}` };
+  }
+}
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  // Chunked so String.fromCharCode doesn't exceed the argument limit
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
   }
+  return btoa(binary);
 }
 
 // ═══════════════════════════════════════════════════════════
 // Clipboard (via Offscreen Document)
 // ═══════════════════════════════════════════════════════════
 
-async function copyToClipboard(format, range, sendResponse) {
-  if (!capturedData.parsedTable) {
-    sendResponse({ success: false, error: 'No data captured yet' });
+async function copyToClipboard(capture, format, request, sendResponse) {
+  // Storage and generator failures must still answer the popup
+  let table, payload, spreadsheet;
+  try {
+    const source = await loadExportSource(capture, request.snapshotId);
+    if (!source) {
+      sendResponse({ success: false, error: request.snapshotId ? 'Snapshot not found' : 'No data captured yet' });
+      return;
+    }
+
+    // Spreadsheet mode applies to the tabular formats; JSON and NDJSON are always copied as text
+    spreadsheet = !!request.options?.spreadsheetCopy && (format === 'csv' || format === 'xlsx');
+
+    if (format === 'xlsx' && !spreadsheet) {
+      sendResponse({
+        success: false,
+        error: 'XLSX can only be downloaded. Pick a text format, or turn on spreadsheet copy.',
+      });
+      return;
+    }
+
+    if (format === 'zip') {
+      sendResponse({ success: false, error: 'ZIP bundles can only be downloaded. Pick a text format to copy.' });
+      return;
+    }
+
+    table = await prepareExportTable(capture, source, request, format);
+    if (spreadsheet) {
+      payload = {
+        text: generateTSV(table.headers, table.rows),
+        html: generateHTMLTable(table.headers, table.rows),
+      };
+    } else if (format === 'json') {
+      payload = { text: generateJSON(table, source.tableMeta) };
+    } else if (format === 'ndjson') {
+      payload = { text: generateNDJSON(table, source, !!request.options?.ndjsonMetadata) };
+    } else if (format === 'md') {
+      payload = { text: generateMarkdown(table.headers, table.rows, exportCaption(source, request)) };
+    } else if (format === 'html') {
+      payload = { text: generateHTMLDocument(table.headers, table.rows, exportCaption(source, request)) };
+    } else if (format === 'sql') {
+      payload = { text: generateSQL(table, source.tableMeta) };
+    } else if (format === 'crm') {
+      payload = { text: (await generateCrmCSV(capture, table, request)).content };
+    } else if (format === 'vcf') {
+      const vcards = await generateVCardFile(capture, table);
+      if (vcards.count === 0) {
+        sendResponse({ success: false, error: NO_VCARD_CONTACTS_ERROR });
+        return;
+      }
+      payload = { text: vcards.content };
+    } else {
+      payload = { text: generateCSV(table.headers, table.rows, buildCSVDialect(request.options), source.tableMeta) };
+    }
+  } catch (err) {
+    sendResponse({ success: false, error: err.message });
     return;
   }
 
-  const { headers } = capturedData.parsedTable;
-  const rows = applyRange(capturedData.parsedTable.rows, range);
-  const text = format === 'json' ? generateJSON(headers, rows) : generateCSV(headers, rows);
-
   try {
     // Create offscreen document for clipboard access
     await ensureOffscreenDocument();
@@ -633,12 +3483,12 @@ async function copyToClipboard(format, range, sendResponse) {
 
       chrome.runtime.sendMessage({
         action: 'OFFSCREEN_COPY',
-        text: text,
+        ...payload,
       });
     });
 
     if (response.success) {
-      sendResponse({ success: true });
+      sendResponse({ success: true, spreadsheet, rowCount: table.rows.length, collapsedCount: table.collapsedCount });
     } else {
       sendResponse({ success: false, error: response.error || 'Clipboard copy failed' });
     }
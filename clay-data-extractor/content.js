@@ -299,13 +299,16 @@
       const rowsMap = extractRenderedRows(fieldIds);
 
       // Convert Map to ordered array
-      const rows = convertRowsMapToArray(rowsMap, fieldIds);
+      const { rows, rowIds, dataIndexes } = convertRowsMapToArray(rowsMap, fieldIds);
 
       log(`Scraped ${rows.length} visible rows x ${labels.length} columns`);
       return {
         success: true,
         headers: labels,
+        fieldIds: fieldIds,
         rows: rows,
+        rowIds: rowIds,
+        dataIndexes: dataIndexes,
         rowCount: rows.length,
         method: 'dom_visible',
       };
@@ -390,13 +393,16 @@
       scrollContainer.scrollLeft = origScrollLeft;
 
       // Convert to array
-      const rows = convertRowsMapToArray(allRows, fieldIds);
+      const { rows, rowIds, dataIndexes } = convertRowsMapToArray(allRows, fieldIds);
 
       log(`Scraped ${rows.length} total rows x ${labels.length} columns via scrolling`);
       return {
         success: true,
         headers: labels,
+        fieldIds: fieldIds,
         rows: rows,
+        rowIds: rowIds,
+        dataIndexes: dataIndexes,
         rowCount: rows.length,
         method: 'dom_scroll',
       };
@@ -427,13 +433,17 @@
   }
 
   // Convert the rowId → cells Map into an ordered 2D array matching header order
+  // Returns { rows: string[][], rowIds: string[], dataIndexes: number[] },
+  // where rowIds[i] and dataIndexes[i] belong to rows[i]
   function convertRowsMapToArray(rowsMap, fieldIds) {
     // Sort rows by their original index
-    const sorted = Array.from(rowsMap.values()).sort((a, b) => a.index - b.index);
+    const sorted = Array.from(rowsMap.entries()).sort((a, b) => a[1].index - b[1].index);
 
-    return sorted.map(row => {
-      return fieldIds.map(fid => row.cells.get(fid) || '');
-    });
+    return {
+      rows: sorted.map(([, row]) => fieldIds.map(fid => row.cells.get(fid) || '')),
+      rowIds: sorted.map(([rowId]) => rowId),
+      dataIndexes: sorted.map(([, row]) => row.index),
+    };
   }
 
   function sleep(ms) {
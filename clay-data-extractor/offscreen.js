@@ -5,7 +5,11 @@
 
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.action === 'OFFSCREEN_COPY') {
-    copyToClipboard(message.text);
+    if (message.html) {
+      copyRichToClipboard(message.text, message.html);
+    } else {
+      copyToClipboard(message.text);
+    }
     // Don't sendResponse here — we use a separate message
     return false;
   }
@@ -33,3 +37,45 @@ async function copyToClipboard(text) {
     }
   }
 }
+
+// Puts text/html and text/plain on the clipboard together so
+// spreadsheets paste into cells and plain editors still get TSV
+async function copyRichToClipboard(text, html) {
+  try {
+    // Try modern Clipboard API first
+    await navigator.clipboard.write([
+      new ClipboardItem({
+        'text/plain': new Blob([text], { type: 'text/plain' }),
+        'text/html': new Blob([html], { type: 'text/html' }),
+      }),
+    ]);
+    chrome.runtime.sendMessage({ action: 'OFFSCREEN_COPY_RESULT', success: true });
+  } catch (err) {
+    // Fallback: fill both flavours from a copy event. The offscreen
+    // document never has focus, so this is the usual path
+    try {
+      let written = false;
+      const onCopy = event => {
+        event.clipboardData.setData('text/plain', text);
+        event.clipboardData.setData('text/html', html);
+        event.preventDefault();
+        written = true;
+      };
+      document.addEventListener('copy', onCopy);
+      const textarea = document.getElementById('clipboard-area');
+      textarea.value = ' ';
+      textarea.select();
+      document.execCommand('copy');
+      document.removeEventListener('copy', onCopy);
+
+      if (!written) throw new Error('Copy event was not delivered');
+      chrome.runtime.sendMessage({ action: 'OFFSCREEN_COPY_RESULT', success: true });
+    } catch (fallbackErr) {
+      chrome.runtime.sendMessage({
+        action: 'OFFSCREEN_COPY_RESULT',
+        success: false,
+        error: fallbackErr.message,
+      });
+    }
+  }
+}
@@ -1,15 +1,22 @@
 // =============================================================
 // popup.js — Popup UI logic
-// Single capture mode (scroll all) + row range for export
+// Capture controls, export format and per-table export settings
+// (rows, filter, dedupe, columns, CRM/vCard), snapshots and diffs
 // =============================================================
 
 'use strict';
 
 document.addEventListener('DOMContentLoaded', init);
 
+// Last GET_STATUS response for the active tab
+let currentStatus = null;
+
 async function init() {
+  await loadExportSettings();
   await refreshStatus();
   bindButtons();
+  bindPreview();
+  bindFlatten();
   // Fetch table metadata (search params) in background
   fetchMeta();
 }
@@ -31,13 +38,16 @@ async function refreshStatus() {
       statusEl.className = 'status idle';
       dataInfoEl.classList.add('hidden');
       disableButtons('#capture-section .btn');
+      hidePreview();
       hideExportSection();
+      document.getElementById('snapshot-section').classList.add('hidden');
       return;
     }
 
     enableButtons('#capture-section .btn');
 
     const status = await chrome.runtime.sendMessage({ action: 'GET_STATUS' });
+    currentStatus = status;
 
     if (status.hasCapturedData) {
       statusEl.textContent = 'Data captured!';
@@ -45,12 +55,22 @@ async function refreshStatus() {
       showDataInfo(status);
       showExportSection();
       updateRangeHint(status.rowCount);
+      await loadColumns();
+      await loadRowFilter();
+      await loadDedupe();
+      await loadExplode();
+      resetRowPicker();
+      resetPreview();
     } else {
       statusEl.textContent = 'Ready — extract data below';
       statusEl.className = 'status ready';
       dataInfoEl.classList.add('hidden');
+      hidePreview();
       hideExportSection();
     }
+
+    document.getElementById('btn-save-snapshot').disabled = !status.hasCapturedData;
+    await refreshSnapshots();
   } catch (err) {
     statusEl.textContent = 'Error connecting';
     statusEl.className = 'status error';
@@ -64,12 +84,52 @@ function showDataInfo(status) {
   document.getElementById('row-count').textContent = status.rowCount;
   document.getElementById('col-count').textContent = status.headerCount;
 
+  // Merged API + DOM capture: show where the cell values came from
+  const sourceInfoEl = document.getElementById('source-info');
+  if (status.sourceCounts) {
+    const { api, dom } = status.sourceCounts;
+    sourceInfoEl.textContent = `Merged API + page data: ${api} cells from API, ${dom} from the grid`;
+    sourceInfoEl.classList.remove('hidden');
+  } else {
+    sourceInfoEl.classList.add('hidden');
+  }
+
+  showSchema(status.schema);
+
   // Show table name if we have metadata
   if (status.tableMeta?.tableName) {
     showTableMeta(status.tableMeta);
   }
 }
 
+function showSchema(schema) {
+  const schemaEl = document.getElementById('schema-info');
+  const listEl = document.getElementById('schema-list');
+  if (!schema || schema.length === 0) {
+    schemaEl.classList.add('hidden');
+    return;
+  }
+  schemaEl.classList.remove('hidden');
+
+  listEl.innerHTML = '';
+  for (const column of schema) {
+    const row = document.createElement('div');
+    row.className = 'schema-row';
+
+    const name = document.createElement('span');
+    name.className = 'schema-name';
+    name.textContent = column.name;
+    name.title = column.emptyCount ? `${column.name} (${column.emptyCount} empty)` : column.name;
+
+    const badge = document.createElement('span');
+    badge.className = `type-badge ${column.type}`;
+    badge.textContent = column.type === 'list' ? `list of ${column.itemType}` : column.type;
+
+    row.append(name, badge);
+    listEl.appendChild(row);
+  }
+}
+
 function showTableMeta(meta) {
   const metaEl = document.getElementById('table-meta');
   if (!metaEl) return;
@@ -127,38 +187,1096 @@ function hideExportSection() {
 
 function updateRangeHint(totalRows) {
   const hint = document.getElementById('range-hint');
-  hint.textContent = `1-${totalRows} available. Leave empty for all rows.`;
-  document.getElementById('row-range').placeholder = `e.g. 1-${totalRows} (all rows)`;
+  hint.textContent = `1-${totalRows} available. Lists like 1-10, 15 and !5 to skip. Leave empty for all rows.`;
+  document.getElementById('row-range').placeholder = `e.g. 1-${totalRows}, !5 (all rows)`;
+}
+
+// ═══════════════════════════════════════════════════════════
+// Data Preview
+// A scrollable grid over the captured rows. Only the rows in view are
+// in the DOM; pages are fetched from the background as they scroll in,
+// already searched and sorted there.
+// ═══════════════════════════════════════════════════════════
+
+const PREVIEW_PAGE = 100;
+const PREVIEW_ROW_HEIGHT = 22;
+const PREVIEW_OVERSCAN = 10;
+
+const previewState = {
+  search: '',
+  sort: null, // { column, descending }
+  total: 0,
+  rowCount: 0,
+  headers: [],
+  emptyCounts: [],
+  pages: new Map(), // page index → rows, or null while loading
+  generation: 0, // bumped on reset so late pages are dropped
+};
+
+function resetPreview() {
+  document.getElementById('preview-panel').classList.remove('hidden');
+  previewState.pages.clear();
+  previewState.generation++;
+  if (document.getElementById('preview-panel').open) loadPreview();
+}
+
+// Hides the grid and drops its pages; responses still in flight are ignored
+function hidePreview() {
+  document.getElementById('preview-panel').classList.add('hidden');
+  document.getElementById('preview-body').innerHTML = '';
+  previewState.pages.clear();
+  previewState.generation++;
+}
+
+async function loadPreview() {
+  document.getElementById('preview-viewport').scrollTop = 0;
+  await fetchPreviewPage(0);
+  renderPreviewHeader();
+  renderPreviewRows();
+}
+
+async function fetchPreviewPage(page) {
+  if (previewState.pages.has(page)) return;
+  previewState.pages.set(page, null);
+  const generation = previewState.generation;
+
+  try {
+    const result = await chrome.runtime.sendMessage({
+      action: 'GET_PREVIEW_PAGE',
+      offset: page * PREVIEW_PAGE,
+      limit: PREVIEW_PAGE,
+      search: previewState.search,
+      sort: previewState.sort,
+    });
+    if (generation !== previewState.generation) return;
+    if (!result.success) {
+      // Keep the failed page as empty so scrolling doesn't refetch it in a loop
+      previewState.pages.set(page, []);
+      log('Preview: ' + result.error, 'error');
+      return;
+    }
+
+    previewState.pages.set(page, result.rows);
+    previewState.total = result.total;
+    previewState.rowCount = result.rowCount;
+    previewState.headers = result.headers;
+    previewState.emptyCounts = result.emptyCounts;
+  } catch (err) {
+    previewState.pages.set(page, []);
+    log('Preview: ' + err.message, 'error');
+  }
+}
+
+function renderPreviewHeader() {
+  const { headers, emptyCounts, rowCount, sort } = previewState;
+  const headerEl = document.getElementById('preview-header');
+  headerEl.innerHTML = '';
+
+  const corner = document.createElement('span');
+  corner.className = 'preview-number';
+  corner.textContent = '#';
+  headerEl.appendChild(corner);
+
+  headers.forEach((header, c) => {
+    const cell = document.createElement('span');
+    cell.className = 'preview-cell';
+    const arrow = sort?.column === c ? (sort.descending ? ' ▼' : ' ▲') : '';
+    cell.textContent = header + arrow;
+
+    const empty = emptyCounts[c] || 0;
+    cell.title = empty ? `${header} (${empty} of ${rowCount} empty)` : header;
+    cell.classList.toggle('all-empty', rowCount > 0 && empty === rowCount);
+    cell.addEventListener('click', () => cyclePreviewSort(c));
+    headerEl.appendChild(cell);
+  });
+
+  const hintEl = document.getElementById('preview-hint');
+  hintEl.textContent = previewState.search
+    ? `${previewState.total} of ${rowCount} rows match`
+    : `${rowCount} rows — click a column to sort`;
+}
+
+function renderPreviewRows() {
+  const viewport = document.getElementById('preview-viewport');
+  const bodyEl = document.getElementById('preview-body');
+  const { total } = previewState;
+  bodyEl.style.height = `${total * PREVIEW_ROW_HEIGHT}px`;
+
+  const first = Math.max(0, Math.floor(viewport.scrollTop / PREVIEW_ROW_HEIGHT) - PREVIEW_OVERSCAN);
+  const visible = Math.ceil(viewport.clientHeight / PREVIEW_ROW_HEIGHT);
+  const last = Math.min(total, first + visible + PREVIEW_OVERSCAN * 2);
+
+  bodyEl.innerHTML = '';
+  for (let i = first; i < last; i++) {
+    const page = Math.floor(i / PREVIEW_PAGE);
+    const rows = previewState.pages.get(page);
+    if (rows === undefined) {
+      fetchPreviewPage(page).then(renderPreviewRows);
+      continue;
+    }
+    const row = rows?.[i - page * PREVIEW_PAGE];
+    if (!row) continue;
+
+    const rowEl = document.createElement('div');
+    rowEl.className = 'preview-row';
+    rowEl.style.top = `${i * PREVIEW_ROW_HEIGHT}px`;
+
+    const number = document.createElement('span');
+    number.className = 'preview-number';
+    number.textContent = row.number;
+    rowEl.appendChild(number);
+
+    for (const value of row.cells) {
+      const cell = document.createElement('span');
+      cell.className = value.trim() ? 'preview-cell' : 'preview-cell empty';
+      cell.textContent = value;
+      cell.title = value;
+      rowEl.appendChild(cell);
+    }
+    bodyEl.appendChild(rowEl);
+  }
+}
+
+// Unsorted → ascending → descending → unsorted
+function cyclePreviewSort(column) {
+  const { sort } = previewState;
+  if (sort?.column !== column) {
+    previewState.sort = { column, descending: false };
+  } else if (!sort.descending) {
+    previewState.sort = { column, descending: true };
+  } else {
+    previewState.sort = null;
+  }
+  resetPreview();
+}
+
+function bindPreview() {
+  const panel = document.getElementById('preview-panel');
+  panel.addEventListener('toggle', () => {
+    if (panel.open && previewState.pages.size === 0) loadPreview();
+  });
+
+  let frame = 0;
+  document.getElementById('preview-viewport').addEventListener('scroll', () => {
+    if (frame) return;
+    frame = requestAnimationFrame(() => {
+      frame = 0;
+      renderPreviewRows();
+    });
+  });
+
+  let searchTimer = 0;
+  document.getElementById('preview-search').addEventListener('input', event => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => {
+      previewState.search = event.target.value.trim();
+      resetPreview();
+    }, 250);
+  });
+}
+
+// ═══════════════════════════════════════════════════════════
+// Nested API Fields
+// How nested objects in intercepted API records become columns. Saving
+// re-reads the API responses the background still holds, so the
+// capture updates without reloading the Clay page.
+// ═══════════════════════════════════════════════════════════
+
+// Last GET/SAVE_API_FLATTENING response
+let flattenState = null;
+
+async function runFlattenAction(message) {
+  try {
+    const result = await chrome.runtime.sendMessage(message);
+    if (!result.success) {
+      log('Nested fields: ' + result.error, 'error');
+      return;
+    }
+    flattenState = result;
+    renderFlatten();
+    if (result.reparsed) {
+      log('Re-read API data with the new nested field settings', 'success');
+      await refreshStatus();
+    }
+  } catch (err) {
+    log('Nested fields: ' + err.message, 'error');
+  }
+}
+
+function saveFlatten(changes) {
+  if (!flattenState) return;
+  return runFlattenAction({ action: 'SAVE_API_FLATTENING', settings: { ...flattenState.settings, ...changes } });
+}
+
+function renderFlatten() {
+  const { settings, paths, internalKeys, apiResponseCount } = flattenState;
+  document.getElementById('flatten-depth').value = String(settings.maxDepth);
+  const internal = document.getElementById('flatten-internal');
+  internal.checked = settings.showInternalKeys;
+  internal.parentElement.title = internalKeys.length
+    ? `In this table: ${internalKeys.join(', ')}`
+    : 'None in the captured API data';
+
+  const listEl = document.getElementById('flatten-paths');
+  listEl.innerHTML = '';
+  for (const { path, sample } of paths) {
+    const row = document.createElement('label');
+    row.className = 'column-row';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = !settings.paths || settings.paths.includes(path);
+    checkbox.dataset.path = path;
+    checkbox.addEventListener('change', () => {
+      const checked = Array.from(listEl.querySelectorAll('input:checked')).map(input => input.dataset.path);
+      saveFlatten({ paths: checked.length === paths.length ? null : checked });
+    });
+
+    const name = document.createElement('span');
+    name.className = 'row-picker-label';
+    name.textContent = path;
+    name.title = sample ? `e.g. ${sample}` : path;
+
+    row.append(checkbox, name);
+    listEl.appendChild(row);
+  }
+  listEl.classList.toggle('hidden', paths.length === 0);
+  document.getElementById('flatten-actions').classList.toggle('hidden', paths.length === 0);
+
+  const hintEl = document.getElementById('flatten-hint');
+  if (apiResponseCount === 0) {
+    hintEl.textContent = 'No API data in memory. Reload the Clay page to capture it with these settings.';
+  } else if (settings.maxDepth > 0 && paths.length === 0) {
+    hintEl.textContent = 'No nested objects found in the captured API data.';
+  } else if (paths.length > 0) {
+    const shown = settings.paths ? paths.filter(p => settings.paths.includes(p.path)).length : paths.length;
+    hintEl.textContent = `${shown} of ${paths.length} nested fields become columns. An object with none ticked stays one column.`;
+  } else {
+    hintEl.textContent = '';
+  }
+}
+
+function bindFlatten() {
+  const panel = document.getElementById('flatten-panel');
+  panel.addEventListener('toggle', () => {
+    if (panel.open) runFlattenAction({ action: 'GET_API_FLATTENING' });
+  });
+  document.getElementById('flatten-depth').addEventListener('change', event => {
+    // A path selection belongs to one depth: its leaves change with it
+    saveFlatten({ maxDepth: Number(event.target.value), paths: null });
+  });
+  document.getElementById('flatten-internal').addEventListener('change', event => {
+    saveFlatten({ showInternalKeys: event.target.checked });
+  });
+  document.getElementById('btn-flatten-all').addEventListener('click', () => saveFlatten({ paths: null }));
+  document.getElementById('btn-flatten-none').addEventListener('click', () => saveFlatten({ paths: [] }));
+}
+
+// ═══════════════════════════════════════════════════════════
+// Export Options
+// Inputs marked data-setting="key" become options.key on every
+// export/copy request and are saved between popup sessions
+// ═══════════════════════════════════════════════════════════
+
+const EXPORT_SETTINGS_KEY = 'exportSettings';
+
+async function loadExportSettings() {
+  const stored = await chrome.storage.local.get(EXPORT_SETTINGS_KEY);
+  const settings = stored[EXPORT_SETTINGS_KEY] || {};
+
+  document.querySelectorAll('[data-setting]').forEach(input => {
+    const key = input.dataset.setting;
+    if (key in settings) {
+      if (input.type === 'checkbox') input.checked = !!settings[key];
+      else input.value = settings[key];
+    }
+    input.addEventListener('change', saveExportSettings);
+  });
+}
+
+function getExportOptions() {
+  const options = {};
+  document.querySelectorAll('[data-setting]').forEach(input => {
+    options[input.dataset.setting] = input.type === 'checkbox' ? input.checked : input.value;
+  });
+  return options;
+}
+
+async function saveExportSettings() {
+  await chrome.storage.local.set({ [EXPORT_SETTINGS_KEY]: getExportOptions() });
+}
+
+// ═══════════════════════════════════════════════════════════
+// Column Chooser
+// Tick, drag and rename the columns every export uses. The working
+// layout is saved for the table on each change; presets are named
+// copies of it.
+// ═══════════════════════════════════════════════════════════
+
+// Column transforms (see COLUMN_TRANSFORMS in background.js)
+const COLUMN_TRANSFORM_LABELS = {
+  '': 'As is',
+  splitName: 'Split first / last name',
+  email: 'Email: trim, lowercase',
+  phone: 'Phone: E.164',
+  stripTracking: 'URL: strip UTM / tracking',
+  linkedin: 'LinkedIn: canonical URL',
+  domain: 'Website: domain only',
+};
+
+// Columns from the last column layout response, in export order
+let columnState = [];
+let dragIndex = null;
+
+async function loadColumns() {
+  await runColumnAction({ action: 'GET_COLUMN_LAYOUT' });
+}
+
+// Sends a column layout message and re-renders from its response
+async function runColumnAction(message) {
+  try {
+    const result = await chrome.runtime.sendMessage(message);
+    if (!result.success) {
+      log('Columns: ' + result.error, 'error');
+      return false;
+    }
+    columnState = result.columns;
+    renderColumns();
+    renderColumnPresets(result.presets);
+    await syncExplode();
+    return true;
+  } catch (err) {
+    log('Columns: ' + err.message, 'error');
+    return false;
+  }
+}
+
+function saveColumns() {
+  const layout = columnState.map(({ key, name, include, transform }) => ({ key, name, include, transform }));
+  return runColumnAction({ action: 'SAVE_COLUMN_LAYOUT', layout });
+}
+
+function renderColumns() {
+  const listEl = document.getElementById('column-list');
+  listEl.innerHTML = '';
+
+  columnState.forEach((column, i) => {
+    const row = document.createElement('div');
+    row.className = 'column-row' + (column.include ? '' : ' excluded');
+
+    // Only the handle starts a drag, so the name field stays editable
+    const handle = document.createElement('span');
+    handle.className = 'drag-handle';
+    handle.textContent = '\u2261';
+    handle.title = 'Drag to reorder';
+    handle.addEventListener('mousedown', () => { row.draggable = true; });
+    row.addEventListener('dragstart', () => {
+      dragIndex = i;
+      row.classList.add('dragging');
+    });
+    row.addEventListener('dragend', () => {
+      row.draggable = false;
+      row.classList.remove('dragging');
+    });
+    row.addEventListener('dragover', event => {
+      event.preventDefault();
+      row.classList.add('drop-target');
+    });
+    row.addEventListener('dragleave', () => row.classList.remove('drop-target'));
+    row.addEventListener('drop', event => {
+      event.preventDefault();
+      row.classList.remove('drop-target');
+      if (dragIndex === null || dragIndex === i) return;
+      const [moved] = columnState.splice(dragIndex, 1);
+      columnState.splice(i, 0, moved);
+      dragIndex = null;
+      saveColumns();
+    });
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = column.include;
+    checkbox.title = 'Include in exports';
+    checkbox.addEventListener('change', () => {
+      column.include = checkbox.checked;
+      saveColumns();
+    });
+
+    const name = document.createElement('input');
+    name.type = 'text';
+    name.className = 'crm-target';
+    name.value = column.name;
+    name.placeholder = column.header;
+    name.title = column.name === column.header ? column.header : `Renamed from "${column.header}"`;
+    name.addEventListener('change', () => {
+      column.name = name.value.trim() || column.header;
+      saveColumns();
+    });
+
+    const transform = makeSelect(Object.entries(COLUMN_TRANSFORM_LABELS), column.transform || '', value => {
+      column.transform = value || null;
+      saveColumns();
+    });
+    transform.classList.add('column-transform');
+    transform.title = 'Transform values on export';
+
+    row.append(handle, checkbox, name, transform);
+    listEl.appendChild(row);
+  });
+
+  const included = columnState.filter(c => c.include).length;
+  document.getElementById('column-count').textContent = columnState.length
+    ? `(${included} of ${columnState.length})`
+    : '';
+}
+
+function renderColumnPresets(presets) {
+  const select = document.getElementById('column-preset');
+  select.innerHTML = '<option value="">Load preset…</option>';
+  for (const name of presets) {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = name;
+    select.appendChild(option);
+  }
+}
+
+function setAllColumns(include) {
+  columnState.forEach(column => { column.include = include; });
+  saveColumns();
+}
+
+// ═══════════════════════════════════════════════════════════
+// Row Filter
+// Conditions on column values, combined with AND or OR. Sent with
+// every export of the live capture and applied after the row range.
+// Saved per table under rowFilter:<tableId>.
+// ═══════════════════════════════════════════════════════════
+
+const ROW_FILTER_KEY_PREFIX = 'rowFilter:';
+
+const FILTER_OP_LABELS = {
+  equals: 'equals',
+  contains: 'contains',
+  regex: 'matches regex',
+  empty: 'is empty',
+  not_empty: 'is not empty',
+  eq: '= (number)',
+  gt: '> (number)',
+  gte: '\u2265 (number)',
+  lt: '< (number)',
+  lte: '\u2264 (number)',
+  before: 'before (date)',
+  after: 'after (date)',
+};
+
+const VALUELESS_FILTER_OPS = new Set(['empty', 'not_empty']);
+
+let filterState = { match: 'all', conditions: [] };
+
+async function loadRowFilter() {
+  filterState = { match: 'all', conditions: [] };
+  if (currentStatus?.tableId) {
+    const key = ROW_FILTER_KEY_PREFIX + currentStatus.tableId;
+    const stored = await chrome.storage.local.get(key);
+    if (stored[key]) filterState = stored[key];
+  }
+
+  // Conditions on columns no longer in the table would fail every export
+  const known = new Set(columnState.map(c => c.key));
+  const dropped = filterState.conditions.filter(c => !known.has(c.column)).length;
+  if (dropped > 0) {
+    filterState.conditions = filterState.conditions.filter(c => known.has(c.column));
+    log(`Row filter: ignoring ${dropped} condition${dropped === 1 ? '' : 's'} on columns not in this capture`);
+  }
+  renderRowFilter();
+}
+
+async function saveRowFilter() {
+  updateFilterCount();
+  updateDedupeResult();
+  if (!currentStatus?.tableId) return;
+  await chrome.storage.local.set({ [ROW_FILTER_KEY_PREFIX + currentStatus.tableId]: filterState });
+}
+
+// The filter to send with an export, or null
+function getRowFilter() {
+  return filterState.conditions.length > 0 ? filterState : null;
+}
+
+function renderRowFilter() {
+  document.getElementById('filter-match').value = filterState.match;
+  const listEl = document.getElementById('filter-conditions');
+  listEl.innerHTML = '';
+
+  filterState.conditions.forEach((condition, i) => {
+    const row = document.createElement('div');
+    row.className = 'crm-row';
+
+    const column = makeSelect(
+      columnState.map(c => [c.key, c.header]),
+      condition.column,
+      value => {
+        condition.column = value;
+        saveRowFilter();
+      }
+    );
+    column.title = 'Column';
+
+    const value = document.createElement('input');
+    value.type = 'text';
+    value.className = 'crm-target';
+    value.value = condition.value || '';
+    value.placeholder = 'value';
+    value.classList.toggle('hidden', VALUELESS_FILTER_OPS.has(condition.op));
+    value.addEventListener('change', () => {
+      condition.value = value.value;
+      saveRowFilter();
+    });
+
+    const op = makeSelect(Object.entries(FILTER_OP_LABELS), condition.op, selected => {
+      condition.op = selected;
+      value.classList.toggle('hidden', VALUELESS_FILTER_OPS.has(selected));
+      saveRowFilter();
+    });
+    op.title = 'Condition';
+
+    const remove = makeIconButton('\u2715', 'Remove condition', () => {
+      filterState.conditions.splice(i, 1);
+      renderRowFilter();
+      saveRowFilter();
+    });
+
+    row.append(column, op, value, remove);
+    listEl.appendChild(row);
+  });
+
+  updateFilterCount();
+}
+
+function updateFilterCount() {
+  const count = filterState.conditions.length;
+  document.getElementById('filter-count').textContent = count
+    ? `(${count} condition${count === 1 ? '' : 's'})`
+    : '';
+}
+
+// ═══════════════════════════════════════════════════════════
+// Deduplication
+// Key columns, normalization and merge strategy for collapsing
+// duplicate rows. Sent with every export like the row filter and
+// saved per table under dedupe:<tableId>.
+// ═══════════════════════════════════════════════════════════
+
+const DEDUPE_KEY_PREFIX = 'dedupe:';
+
+function defaultDedupe() {
+  return { keys: [], normalize: { case: true, trailingSlash: true, www: true }, strategy: 'first' };
+}
+
+let dedupeState = defaultDedupe();
+
+async function loadDedupe() {
+  dedupeState = defaultDedupe();
+  if (currentStatus?.tableId) {
+    const key = DEDUPE_KEY_PREFIX + currentStatus.tableId;
+    const stored = await chrome.storage.local.get(key);
+    if (stored[key]) dedupeState = stored[key];
+  }
+  // Drop key columns that are no longer in the table
+  const known = new Set(columnState.map(c => c.key));
+  dedupeState.keys = dedupeState.keys.filter(k => known.has(k));
+  renderDedupe();
+}
+
+async function saveDedupe() {
+  updateDedupeResult();
+  if (!currentStatus?.tableId) return;
+  await chrome.storage.local.set({ [DEDUPE_KEY_PREFIX + currentStatus.tableId]: dedupeState });
+}
+
+// The dedupe settings to send with an export, or null
+function getDedupe() {
+  return dedupeState.keys.length > 0 ? dedupeState : null;
+}
+
+function renderDedupe() {
+  const listEl = document.getElementById('dedupe-keys');
+  listEl.innerHTML = '';
+  for (const column of columnState) {
+    const row = document.createElement('label');
+    row.className = 'column-row';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = dedupeState.keys.includes(column.key);
+    checkbox.addEventListener('change', () => {
+      dedupeState.keys = checkbox.checked
+        ? [...dedupeState.keys, column.key]
+        : dedupeState.keys.filter(k => k !== column.key);
+      saveDedupe();
+    });
+
+    const name = document.createElement('span');
+    name.className = 'row-picker-label';
+    name.textContent = column.header;
+    name.title = column.header;
+
+    row.append(checkbox, name);
+    listEl.appendChild(row);
+  }
+
+  document.querySelectorAll('[data-dedupe-normalize]').forEach(input => {
+    input.checked = !!dedupeState.normalize[input.dataset.dedupeNormalize];
+  });
+  document.getElementById('dedupe-strategy').value = dedupeState.strategy;
+  updateDedupeResult();
+}
+
+// Bumped per COUNT_DUPLICATES request; only the latest one's answer is shown
+let dedupeRequest = 0;
+
+// Asks the background how many rows the current range, filter and
+// dedupe settings collapse, and shows it under the panel
+async function updateDedupeResult() {
+  const request = ++dedupeRequest;
+  const keyCount = dedupeState.keys.length;
+  document.getElementById('dedupe-count').textContent = keyCount
+    ? `(${keyCount} key column${keyCount === 1 ? '' : 's'})`
+    : '';
+  const resultEl = document.getElementById('dedupe-result');
+  if (!getDedupe() || !currentStatus?.hasCapturedData) {
+    resultEl.textContent = '';
+    return;
+  }
+
+  try {
+    const result = await chrome.runtime.sendMessage({
+      action: 'COUNT_DUPLICATES',
+      range: getRangeOrError(),
+      filter: getRowFilter(),
+      dedupe: getDedupe(),
+    });
+    if (request !== dedupeRequest) return;
+    if (!result.success) {
+      resultEl.textContent = result.error;
+      return;
+    }
+    const { collapsedCount, rowCount } = result;
+    resultEl.textContent = collapsedCount
+      ? `${collapsedCount} duplicate row${collapsedCount === 1 ? '' : 's'} will be collapsed (${rowCount + collapsedCount} → ${rowCount} rows)`
+      : 'No duplicates found';
+  } catch (err) {
+    // Unparseable row range: the range hint already says so
+    if (request === dedupeRequest) resultEl.textContent = '';
+  }
+}
+
+// ═══════════════════════════════════════════════════════════
+// Multi-value Cells
+// One column whose values are spread over rows or numbered columns on
+// export. Saved per table under explode:<tableId>.
+// ═══════════════════════════════════════════════════════════
+
+const EXPLODE_KEY_PREFIX = 'explode:';
+
+let explodeState = { column: '', mode: 'rows' };
+let explodeTableId = null; // table explodeState was loaded for
+
+async function loadExplode() {
+  explodeState = { column: '', mode: 'rows' };
+  if (currentStatus?.tableId) {
+    const key = EXPLODE_KEY_PREFIX + currentStatus.tableId;
+    const stored = await chrome.storage.local.get(key);
+    if (stored[key]) explodeState = stored[key];
+  }
+  explodeTableId = currentStatus?.tableId;
+  await syncExplode();
+}
+
+// Columns that can be expanded: exported, and not split by a transform
+function explodableColumns() {
+  return columnState.filter(c => c.include && c.transform !== 'splitName');
+}
+
+// Drops a saved choice once its column is unticked or split, so it
+// can't fail every export, then re-renders
+async function syncExplode() {
+  if (explodeTableId !== currentStatus?.tableId) return;
+  if (explodeState.column && !explodableColumns().some(c => c.key === explodeState.column)) {
+    explodeState.column = '';
+    await saveExplode();
+  } else {
+    renderExplode();
+  }
+}
+
+async function saveExplode() {
+  renderExplode();
+  if (!currentStatus?.tableId) return;
+  await chrome.storage.local.set({ [EXPLODE_KEY_PREFIX + currentStatus.tableId]: explodeState });
+}
+
+// The expansion to send with an export, or null
+function getExplode() {
+  return explodeState.column ? explodeState : null;
+}
+
+function renderExplode() {
+  // Columns typed as lists are the likely picks, so say which they are
+  const listHeaders = new Set((currentStatus?.schema || []).filter(c => c.type === 'list').map(c => c.name));
+  const select = document.getElementById('explode-column');
+  select.innerHTML = '<option value="">Don\u2019t expand</option>';
+  for (const column of explodableColumns()) {
+    const option = document.createElement('option');
+    option.value = column.key;
+    option.textContent = listHeaders.has(column.header) ? `${column.name} (multi-value)` : column.name;
+    select.appendChild(option);
+  }
+  select.value = explodeState.column;
+  document.getElementById('explode-mode').value = explodeState.mode;
+
+  const column = columnState.find(c => c.key === explodeState.column);
+  document.getElementById('explode-summary').textContent = column
+    ? `(${column.name} \u2192 ${explodeState.mode})`
+    : '';
+}
+
+// ═══════════════════════════════════════════════════════════
+// CRM Mapping
+// Each row maps a CRM column to a captured column, optionally through
+// a transform. Every edit is saved for the current table right away.
+// ═══════════════════════════════════════════════════════════
+
+const CRM_TRANSFORM_LABELS = {
+  '': 'As is',
+  firstName: 'First name',
+  lastName: 'Last name',
+  domain: 'Domain',
+  linkedin: 'LinkedIn URL',
+};
+
+// { headers, mapping } from the last GET_CRM_MAPPING
+let crmState = null;
+
+function updateFormatPanels() {
+  const format = getSelectedFormat();
+  document.getElementById('crm-panel').classList.toggle('hidden', format !== 'crm');
+  document.getElementById('vcard-panel').classList.toggle('hidden', format !== 'vcf');
+  if (format === 'crm') loadCrmMapping();
+  if (format === 'vcf') loadVCardColumns();
+}
+
+async function loadCrmMapping(action = 'GET_CRM_MAPPING') {
+  const preset = document.getElementById('crm-preset').value;
+  try {
+    const result = await chrome.runtime.sendMessage({ action, preset });
+    if (!result.success) {
+      log('CRM mapping: ' + result.error, 'error');
+      return;
+    }
+    crmState = { headers: result.headers, mapping: result.mapping };
+    renderCrmMapping();
+    document.getElementById('crm-hint').textContent = result.saved
+      ? 'Saved mapping for this table.'
+      : 'Suggested from the column names. Edits are saved for this table.';
+  } catch (err) {
+    log('CRM mapping: ' + err.message, 'error');
+  }
+}
+
+function renderCrmMapping() {
+  const listEl = document.getElementById('crm-mapping');
+  listEl.innerHTML = '';
+
+  crmState.mapping.forEach((entry, i) => {
+    const row = document.createElement('div');
+    row.className = 'crm-row';
+
+    const target = document.createElement('input');
+    target.type = 'text';
+    target.className = 'crm-target';
+    target.value = entry.target;
+    target.title = 'Column name in the CRM file';
+    target.addEventListener('change', () => {
+      if (!target.value.trim()) {
+        target.value = entry.target;
+        return;
+      }
+      entry.target = target.value.trim();
+      saveCrmMapping();
+    });
+
+    const source = makeSelect(
+      [['', '— empty —'], ...crmState.headers.map(h => [h, h])],
+      entry.source || '',
+      value => {
+        entry.source = value || null;
+        saveCrmMapping();
+      }
+    );
+    source.title = 'Captured column';
+
+    const transform = makeSelect(
+      Object.entries(CRM_TRANSFORM_LABELS),
+      entry.transform || '',
+      value => {
+        entry.transform = value || null;
+        saveCrmMapping();
+      }
+    );
+    transform.title = 'Transform';
+
+    const remove = makeIconButton('\u2715', 'Remove column', () => {
+      crmState.mapping.splice(i, 1);
+      renderCrmMapping();
+      saveCrmMapping();
+    });
+
+    row.append(target, source, transform, remove);
+    listEl.appendChild(row);
+  });
+}
+
+function makeSelect(options, value, onChange) {
+  const select = document.createElement('select');
+  select.className = 'select';
+  for (const [optionValue, label] of options) {
+    const option = document.createElement('option');
+    option.value = optionValue;
+    option.textContent = label;
+    select.appendChild(option);
+  }
+  // Keep a saved source that isn't in this capture visible
+  if (value && !options.some(([optionValue]) => optionValue === value)) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = `${value} (missing)`;
+    select.appendChild(option);
+  }
+  select.value = value;
+  select.addEventListener('change', () => onChange(select.value));
+  return select;
+}
+
+async function saveCrmMapping() {
+  const preset = document.getElementById('crm-preset').value;
+  try {
+    const result = await chrome.runtime.sendMessage({ action: 'SAVE_CRM_MAPPING', preset, mapping: crmState.mapping });
+    if (result.success) {
+      document.getElementById('crm-hint').textContent = 'Saved mapping for this table.';
+    } else {
+      log('Could not save mapping: ' + result.error, 'error');
+    }
+  } catch (err) {
+    log('Could not save mapping: ' + err.message, 'error');
+  }
+}
+
+// ═══════════════════════════════════════════════════════════
+// vCard Columns
+// Which captured column feeds each contact field. Detected from the
+// headers until the user picks one; picks are saved per table.
+// ═══════════════════════════════════════════════════════════
+
+const VCARD_FIELD_LABELS = {
+  fullName: 'Full name',
+  firstName: 'First name',
+  lastName: 'Last name',
+  email: 'Email',
+  phone: 'Phone',
+  jobTitle: 'Title',
+  company: 'Company',
+  linkedin: 'LinkedIn',
+  domain: 'Website',
+};
+
+async function loadVCardColumns(action = 'GET_VCARD_COLUMNS') {
+  try {
+    const result = await chrome.runtime.sendMessage({ action });
+    if (!result.success) {
+      log('vCard columns: ' + result.error, 'error');
+      return;
+    }
+    renderVCardColumns(result.headers, result.columns);
+    document.getElementById('vcard-hint').textContent = result.saved
+      ? 'Saved columns for this table. Cells holding several values become several emails or phones.'
+      : 'Detected from the column names. Cells holding several values become several emails or phones.';
+  } catch (err) {
+    log('vCard columns: ' + err.message, 'error');
+  }
+}
+
+function renderVCardColumns(headers, columns) {
+  const listEl = document.getElementById('vcard-columns');
+  listEl.innerHTML = '';
+
+  for (const [field, label] of Object.entries(VCARD_FIELD_LABELS)) {
+    const row = document.createElement('label');
+    row.className = 'select-option';
+
+    const name = document.createElement('span');
+    name.textContent = label;
+
+    const select = makeSelect(
+      [['', '— none —'], ...headers.map(h => [h, h])],
+      columns[field] || '',
+      async value => {
+        columns[field] = value || null;
+        const result = await chrome.runtime.sendMessage({ action: 'SAVE_VCARD_COLUMNS', columns });
+        if (!result.success) log('Could not save vCard columns: ' + result.error, 'error');
+      }
+    );
+
+    row.append(name, select);
+    listEl.appendChild(row);
+  }
 }
 
 // ═══════════════════════════════════════════════════════════
 // Row Range Parsing
 // ═══════════════════════════════════════════════════════════
 
-// Parse "a-b" into { start, end } (1-indexed, inclusive)
-// Returns null for "all rows"
+// Parse "1-10, 15, 22-30, !5" into
+// { include: [[1, 10], [15, 15], [22, 30]], exclude: [[5, 5]] }
+// (1-indexed, inclusive). "!" parts skip rows; with only "!" parts every
+// other row is kept. Returns null for "all rows"
 function parseRowRange(input, totalRows) {
   const trimmed = (input || '').trim();
   if (!trimmed) return null; // all rows
 
-  const match = trimmed.match(/^(\d+)\s*-\s*(\d+)$/);
-  if (!match) {
-    // Try single number
-    const single = parseInt(trimmed, 10);
-    if (!isNaN(single) && single >= 1 && single <= totalRows) {
-      return { start: single, end: single };
+  const selection = { include: [], exclude: [] };
+  for (const part of trimmed.split(',')) {
+    const token = part.trim();
+    if (!token) continue;
+
+    const negated = token.startsWith('!');
+    const match = (negated ? token.slice(1).trim() : token).match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+    if (!match) throw new Error(`Invalid range "${token}". Use e.g. 1-10, 15, !5`);
+
+    const start = parseInt(match[1], 10);
+    const end = match[2] ? parseInt(match[2], 10) : start;
+
+    if (start < 1) throw new Error('Start row must be at least 1');
+    if (end > totalRows) throw new Error(`End row can't exceed ${totalRows}`);
+    if (start > end) throw new Error(`"${token}": start must be less than or equal to end`);
+
+    (negated ? selection.exclude : selection.include).push([start, end]);
+  }
+
+  if (selection.include.length === 0 && selection.exclude.length === 0) return null;
+  return selection;
+}
+
+// Row numbers a selection keeps, as a Set
+function selectedRowNumbers(selection, totalRows) {
+  const numbers = new Set();
+  const inRanges = (ranges, n) => ranges.some(([start, end]) => n >= start && n <= end);
+  for (let n = 1; n <= totalRows; n++) {
+    if ((selection.include.length === 0 || inRanges(selection.include, n)) && !inRanges(selection.exclude, n)) {
+      numbers.add(n);
+    }
+  }
+  return numbers;
+}
+
+// [1, 2, 3, 7] → "1-3, 7"
+function formatRowNumbers(numbers) {
+  const sorted = [...numbers].sort((a, b) => a - b);
+  const parts = [];
+  for (let i = 0; i < sorted.length; i++) {
+    const start = sorted[i];
+    while (sorted[i + 1] === sorted[i] + 1) i++;
+    parts.push(start === sorted[i] ? `${start}` : `${start}-${sorted[i]}`);
+  }
+  return parts.join(', ');
+}
+
+// ═══════════════════════════════════════════════════════════
+// Row Picker
+// A checkbox per row. Ticking rows rewrites the range box, and typing
+// in the range box updates the ticks, so the box stays the one
+// selection every export uses.
+// ═══════════════════════════════════════════════════════════
+
+const ROW_PICKER_PAGE = 200;
+let rowPickerLoaded = 0;
+
+async function loadRowPickerPage() {
+  try {
+    const result = await chrome.runtime.sendMessage({
+      action: 'GET_ROW_PREVIEW',
+      offset: rowPickerLoaded,
+      limit: ROW_PICKER_PAGE,
+    });
+    if (!result.success) {
+      log('Row picker: ' + result.error, 'error');
+      return;
     }
-    throw new Error(`Invalid range "${trimmed}". Use format: 1-25`);
+
+    const listEl = document.getElementById('row-picker-list');
+    for (const row of result.rows) {
+      const item = document.createElement('label');
+      item.className = 'column-row';
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.dataset.row = row.number;
+      checkbox.addEventListener('change', () => toggleRowSelection(row.number, checkbox.checked));
+
+      const number = document.createElement('span');
+      number.className = 'row-number';
+      number.textContent = row.number;
+
+      const label = document.createElement('span');
+      label.className = 'row-picker-label';
+      label.textContent = row.label || '(empty row)';
+      label.title = row.label;
+
+      item.append(checkbox, number, label);
+      listEl.appendChild(item);
+    }
+
+    rowPickerLoaded += result.rows.length;
+    document.getElementById('btn-row-picker-more').classList.toggle('hidden', rowPickerLoaded >= result.total);
+    syncRowPicker();
+  } catch (err) {
+    log('Row picker: ' + err.message, 'error');
   }
+}
+
+function resetRowPicker() {
+  rowPickerLoaded = 0;
+  document.getElementById('row-picker-list').innerHTML = '';
+  document.getElementById('btn-row-picker-more').classList.add('hidden');
+  if (document.getElementById('row-picker').open) loadRowPickerPage();
+}
 
-  const start = parseInt(match[1], 10);
-  const end = parseInt(match[2], 10);
+// Current selection as a Set of row numbers; empty for "all rows" or
+// a range that doesn't parse
+function currentRowNumbers() {
+  const totalRows = currentStatus?.rowCount || 0;
+  try {
+    const selection = parseRowRange(document.getElementById('row-range').value, totalRows);
+    return selection ? selectedRowNumbers(selection, totalRows) : new Set();
+  } catch (err) {
+    return new Set();
+  }
+}
 
-  if (start < 1) throw new Error('Start row must be at least 1');
-  if (end > totalRows) throw new Error(`End row can't exceed ${totalRows}`);
-  if (start > end) throw new Error('Start must be less than or equal to end');
+function toggleRowSelection(number, selected) {
+  const numbers = currentRowNumbers();
+  if (selected) numbers.add(number);
+  else numbers.delete(number);
+  document.getElementById('row-range').value = formatRowNumbers(numbers);
+  updateDedupeResult();
+}
 
-  return { start, end };
+function syncRowPicker() {
+  const numbers = currentRowNumbers();
+  document.querySelectorAll('#row-picker-list input[type="checkbox"]').forEach(checkbox => {
+    checkbox.checked = numbers.has(Number(checkbox.dataset.row));
+  });
 }
 
 // ═══════════════════════════════════════════════════════════
@@ -190,11 +1308,20 @@ function bindButtons() {
 
     try {
       const range = getRangeOrError();
-      const action = format === 'csv' ? 'EXPORT_CSV' : 'EXPORT_JSON';
-      const result = await chrome.runtime.sendMessage({ action, range });
+      const filter = getRowFilter();
+      const result = await chrome.runtime.sendMessage({
+        action: 'EXPORT_FILE',
+        format,
+        range,
+        filter,
+        dedupe: getDedupe(),
+        explode: getExplode(),
+        options: getExportOptions(),
+      });
       if (result.success) {
-        const rangeLabel = range ? ` (rows ${range.start}-${range.end})` : '';
-        log(`Downloading ${format.toUpperCase()}${rangeLabel}...`, 'success');
+        const rangeLabel = range ? ` (rows ${getRangeText()})` : '';
+        const filterLabel = filter ? `, ${result.rowCount} rows after filter` : '';
+        log(`Downloading ${format.toUpperCase()}${rangeLabel}${filterLabel}${dedupeLabel(result)}...`, 'success');
       } else {
         log('Download failed: ' + result.error, 'error');
       }
@@ -213,10 +1340,21 @@ function bindButtons() {
 
     try {
       const range = getRangeOrError();
-      const result = await chrome.runtime.sendMessage({ action: 'COPY_CLIPBOARD', format, range });
+      const filter = getRowFilter();
+      const result = await chrome.runtime.sendMessage({
+        action: 'COPY_CLIPBOARD',
+        format,
+        range,
+        filter,
+        dedupe: getDedupe(),
+        explode: getExplode(),
+        options: getExportOptions(),
+      });
       if (result.success) {
-        const rangeLabel = range ? ` (rows ${range.start}-${range.end})` : '';
-        log(`Copied ${format.toUpperCase()}${rangeLabel} to clipboard!`, 'success');
+        const rangeLabel = range ? ` (rows ${getRangeText()})` : '';
+        const filterLabel = filter ? `, ${result.rowCount} rows after filter` : '';
+        const formatLabel = result.spreadsheet ? 'table' : format.toUpperCase();
+        log(`Copied ${formatLabel}${rangeLabel}${filterLabel}${dedupeLabel(result)} to clipboard!`, 'success');
         const originalText = btn.innerHTML;
         btn.innerHTML = '<span class="btn-icon-inline">&#x2713;</span> Copied!';
         setTimeout(() => { btn.innerHTML = originalText; }, 2000);
@@ -230,15 +1368,154 @@ function bindButtons() {
     setButtonLoading(btn, false);
   });
 
+  // ── Format: show the CRM mapping editor for CRM exports ──
+  document.querySelectorAll('input[name="format"]').forEach(input => {
+    input.addEventListener('change', updateFormatPanels);
+  });
+  document.getElementById('crm-preset').addEventListener('change', () => loadCrmMapping());
+  document.getElementById('btn-crm-add').addEventListener('click', () => {
+    if (!crmState) return;
+    crmState.mapping.push({ target: `Column ${crmState.mapping.length + 1}`, source: null, transform: null });
+    renderCrmMapping();
+    saveCrmMapping();
+  });
+  document.getElementById('btn-crm-reset').addEventListener('click', () => loadCrmMapping('RESET_CRM_MAPPING'));
+  document.getElementById('btn-vcard-reset').addEventListener('click', () => loadVCardColumns('RESET_VCARD_COLUMNS'));
+
+  // ── Columns ──
+  document.getElementById('btn-columns-all').addEventListener('click', () => setAllColumns(true));
+  document.getElementById('btn-columns-none').addEventListener('click', () => setAllColumns(false));
+  document.getElementById('btn-columns-reset').addEventListener('click', () => {
+    runColumnAction({ action: 'SAVE_COLUMN_LAYOUT', layout: null });
+  });
+  document.getElementById('column-preset').addEventListener('change', async event => {
+    const name = event.target.value;
+    if (!name) return;
+    if (await runColumnAction({ action: 'APPLY_COLUMN_PRESET', name })) {
+      log(`Loaded column preset "${name}"`, 'success');
+    }
+    document.getElementById('column-preset').value = name;
+  });
+  document.getElementById('btn-column-preset-save').addEventListener('click', async () => {
+    const input = document.getElementById('column-preset-name');
+    const name = input.value.trim();
+    if (await runColumnAction({ action: 'SAVE_COLUMN_PRESET', name })) {
+      log(`Saved column preset "${name}"`, 'success');
+      input.value = '';
+    }
+  });
+  document.getElementById('btn-column-preset-delete').addEventListener('click', async () => {
+    const name = document.getElementById('column-preset').value;
+    if (!name) return;
+    if (await runColumnAction({ action: 'DELETE_COLUMN_PRESET', name })) {
+      log(`Deleted column preset "${name}"`);
+    }
+  });
+
+  // ── Row filter ──
+  document.getElementById('filter-match').addEventListener('change', event => {
+    filterState.match = event.target.value;
+    saveRowFilter();
+  });
+  document.getElementById('btn-filter-add').addEventListener('click', () => {
+    if (columnState.length === 0) return;
+    filterState.conditions.push({ column: columnState[0].key, op: 'not_empty', value: '' });
+    renderRowFilter();
+    saveRowFilter();
+  });
+  document.getElementById('btn-filter-clear').addEventListener('click', () => {
+    filterState.conditions = [];
+    renderRowFilter();
+    saveRowFilter();
+  });
+
+  // ── Deduplication ──
+  document.querySelectorAll('[data-dedupe-normalize]').forEach(input => {
+    input.addEventListener('change', () => {
+      dedupeState.normalize[input.dataset.dedupeNormalize] = input.checked;
+      saveDedupe();
+    });
+  });
+  document.getElementById('dedupe-strategy').addEventListener('change', event => {
+    dedupeState.strategy = event.target.value;
+    saveDedupe();
+  });
+
+  // ── Multi-value cells ──
+  document.getElementById('explode-column').addEventListener('change', event => {
+    explodeState.column = event.target.value;
+    saveExplode();
+  });
+  document.getElementById('explode-mode').addEventListener('change', event => {
+    explodeState.mode = event.target.value;
+    saveExplode();
+  });
+
   // ── Range: "All" reset button ──
   document.getElementById('btn-range-all').addEventListener('click', () => {
     document.getElementById('row-range').value = '';
+    syncRowPicker();
+    updateDedupeResult();
+  });
+  document.getElementById('row-range').addEventListener('input', () => {
+    syncRowPicker();
+    updateDedupeResult();
   });
 
+  // ── Row picker: load rows the first time it's opened ──
+  document.getElementById('row-picker').addEventListener('toggle', event => {
+    if (event.target.open && rowPickerLoaded === 0) loadRowPickerPage();
+  });
+  document.getElementById('btn-row-picker-more').addEventListener('click', loadRowPickerPage);
+
+  // ── Save current capture as a snapshot ──
+  document.getElementById('btn-save-snapshot').addEventListener('click', async () => {
+    try {
+      const result = await chrome.runtime.sendMessage({ action: 'SAVE_SNAPSHOT' });
+      if (result.success) {
+        log(`Saved snapshot "${result.snapshot.name}"`, 'success');
+        await refreshSnapshots();
+      } else {
+        log('Save failed: ' + result.error, 'error');
+      }
+    } catch (err) {
+      log('Error: ' + err.message, 'error');
+    }
+  });
+
+  // ── Compare captures ──
+  document.getElementById('btn-diff').addEventListener('click', async () => {
+    const btn = document.getElementById('btn-diff');
+    setButtonLoading(btn, true);
+
+    try {
+      const result = await chrome.runtime.sendMessage({ action: 'DIFF_SNAPSHOTS', ...getDiffSelection() });
+      if (result.success) {
+        showDiffResult(result.diff);
+      } else {
+        log('Compare failed: ' + result.error, 'error');
+      }
+    } catch (err) {
+      log('Error: ' + err.message, 'error');
+    }
+
+    setButtonLoading(btn, false);
+    updateDiffButton();
+  });
+
+  document.getElementById('diff-base').addEventListener('change', updateDiffButton);
+  document.getElementById('diff-compare').addEventListener('change', updateDiffButton);
+  document.getElementById('btn-diff-csv').addEventListener('click', () => exportDiff('csv'));
+  document.getElementById('btn-diff-json').addEventListener('click', () => exportDiff('json'));
+
   // ── Clear Data ──
   document.getElementById('btn-clear').addEventListener('click', async () => {
     try {
-      await chrome.runtime.sendMessage({ action: 'CLEAR_DATA' });
+      const result = await chrome.runtime.sendMessage({ action: 'CLEAR_DATA' });
+      if (!result.success) {
+        log('Could not clear data: ' + result.error, 'error');
+        return;
+      }
       document.getElementById('row-range').value = '';
       log('Data cleared.');
       await refreshStatus();
@@ -248,6 +1525,281 @@ function bindButtons() {
   });
 }
 
+// ═══════════════════════════════════════════════════════════
+// Snapshot Library
+// ═══════════════════════════════════════════════════════════
+
+async function refreshSnapshots() {
+  const sectionEl = document.getElementById('snapshot-section');
+  const listEl = document.getElementById('snapshot-list');
+
+  try {
+    const result = await chrome.runtime.sendMessage({ action: 'LIST_SNAPSHOTS' });
+    if (!result?.success || !result.tableId) {
+      sectionEl.classList.add('hidden');
+      return;
+    }
+
+    sectionEl.classList.remove('hidden');
+    listEl.innerHTML = '';
+    for (const snapshot of result.snapshots) {
+      listEl.appendChild(renderSnapshotItem(snapshot));
+    }
+    populateDiffSelects(result.snapshots);
+  } catch (err) {
+    log('Could not load snapshots: ' + err.message, 'error');
+  }
+}
+
+function renderSnapshotItem(snapshot) {
+  const item = document.createElement('div');
+  item.className = 'snapshot-item';
+
+  const info = document.createElement('div');
+  info.className = 'snapshot-info';
+
+  const name = document.createElement('div');
+  name.className = 'snapshot-name';
+  name.textContent = snapshot.name;
+  name.title = snapshot.name;
+
+  const detail = document.createElement('div');
+  detail.className = 'snapshot-detail';
+  const when = new Date(snapshot.capturedAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+  detail.textContent = `${snapshot.rowCount} rows × ${snapshot.columnCount} cols · ${when}`;
+  const searchSummary = Object.entries(snapshot.searchFields || {}).map(([k, v]) => `${k}: ${v}`).join('\n');
+  if (searchSummary) detail.title = searchSummary;
+
+  info.append(name, detail);
+
+  const actions = document.createElement('div');
+  actions.className = 'snapshot-actions';
+  actions.append(
+    makeIconButton('\u2B73', 'Download', () => exportSnapshot(snapshot)),
+    makeIconButton('\u2398', 'Copy to clipboard', () => copySnapshot(snapshot)),
+    makeIconButton('\u270E', 'Rename', () => startSnapshotRename(snapshot, name)),
+    makeIconButton('\u2715', 'Delete', () => removeSnapshot(snapshot)),
+  );
+
+  item.append(info, actions);
+  return item;
+}
+
+function makeIconButton(symbol, title, onClick) {
+  const btn = document.createElement('button');
+  btn.className = 'btn-icon';
+  btn.textContent = symbol;
+  btn.title = title;
+  btn.addEventListener('click', onClick);
+  return btn;
+}
+
+async function exportSnapshot(snapshot) {
+  const format = getSelectedFormat();
+  try {
+    const result = await chrome.runtime.sendMessage({
+      action: 'EXPORT_FILE',
+      format,
+      snapshotId: snapshot.id,
+      options: getExportOptions(),
+    });
+    if (result.success) {
+      log(`Downloading "${snapshot.name}" as ${format.toUpperCase()}...`, 'success');
+    } else {
+      log('Download failed: ' + result.error, 'error');
+    }
+  } catch (err) {
+    log(err.message, 'error');
+  }
+}
+
+async function copySnapshot(snapshot) {
+  const format = getSelectedFormat();
+  try {
+    const result = await chrome.runtime.sendMessage({
+      action: 'COPY_CLIPBOARD',
+      format,
+      snapshotId: snapshot.id,
+      options: getExportOptions(),
+    });
+    if (result.success) {
+      const formatLabel = result.spreadsheet ? 'a table' : format.toUpperCase();
+      log(`Copied "${snapshot.name}" as ${formatLabel} to clipboard!`, 'success');
+    } else {
+      log('Copy failed: ' + result.error, 'error');
+    }
+  } catch (err) {
+    log(err.message, 'error');
+  }
+}
+
+function startSnapshotRename(snapshot, nameEl) {
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'snapshot-name-input';
+  input.value = snapshot.name;
+  nameEl.replaceWith(input);
+  input.focus();
+  input.select();
+
+  let done = false;
+  const finish = async save => {
+    if (done) return;
+    done = true;
+    if (save && input.value.trim() && input.value.trim() !== snapshot.name) {
+      const result = await chrome.runtime.sendMessage({
+        action: 'RENAME_SNAPSHOT',
+        snapshotId: snapshot.id,
+        name: input.value,
+      });
+      if (result.success) {
+        log(`Renamed snapshot to "${result.snapshot.name}"`, 'success');
+      } else {
+        log('Rename failed: ' + result.error, 'error');
+      }
+    }
+    await refreshSnapshots();
+  };
+
+  input.addEventListener('keydown', e => {
+    if (e.key === 'Enter') finish(true);
+    if (e.key === 'Escape') finish(false);
+  });
+  input.addEventListener('blur', () => finish(true));
+}
+
+async function removeSnapshot(snapshot) {
+  if (!confirm(`Delete snapshot "${snapshot.name}"?`)) return;
+  try {
+    const result = await chrome.runtime.sendMessage({ action: 'DELETE_SNAPSHOT', snapshotId: snapshot.id });
+    if (result.success) {
+      log(`Deleted snapshot "${snapshot.name}"`);
+    } else {
+      log('Delete failed: ' + result.error, 'error');
+    }
+  } catch (err) {
+    log('Error: ' + err.message, 'error');
+  }
+  await refreshSnapshots();
+}
+
+// ═══════════════════════════════════════════════════════════
+// Snapshot Diff
+// ═══════════════════════════════════════════════════════════
+
+const MAX_DIFF_LINES = 100;
+
+// Base: any snapshot. Compare: the live capture (value '') or any snapshot.
+// Defaults to "newest other capture → current capture".
+function populateDiffSelects(snapshots) {
+  const panel = document.getElementById('diff-panel');
+  const baseEl = document.getElementById('diff-base');
+  const compareEl = document.getElementById('diff-compare');
+
+  const hasCurrent = !!currentStatus?.hasCapturedData;
+  const options = snapshots.map(s => ({ value: s.id, label: s.name, capturedAt: s.capturedAt }));
+  if (hasCurrent) options.unshift({ value: '', label: 'Current capture', capturedAt: currentStatus.capturedAt });
+
+  if (snapshots.length === 0 || options.length < 2) {
+    panel.classList.add('hidden');
+    return;
+  }
+  panel.classList.remove('hidden');
+
+  for (const el of [baseEl, compareEl]) {
+    el.innerHTML = '';
+    for (const opt of options) {
+      if (el === baseEl && opt.value === '') continue;
+      const option = new Option(opt.label, opt.value);
+      option.dataset.capturedAt = opt.capturedAt;
+      el.appendChild(option);
+    }
+  }
+
+  // Extracting auto-saves a snapshot of the capture, so skip snapshots that
+  // hold the same data as the live capture when picking the base
+  const base = hasCurrent
+    ? snapshots.find(s => s.capturedAt !== currentStatus.capturedAt)
+    : snapshots[1];
+  if (base) {
+    baseEl.value = base.id;
+    compareEl.value = hasCurrent ? '' : snapshots[0].id;
+  } else {
+    baseEl.value = compareEl.value = snapshots[0].id;
+  }
+  updateDiffButton();
+  document.getElementById('diff-result').classList.add('hidden');
+}
+
+// Compare needs two different captures, not two copies of the same one
+function updateDiffButton() {
+  const capturedAt = el => el.selectedOptions[0]?.dataset.capturedAt;
+  const btn = document.getElementById('btn-diff');
+  const same = capturedAt(document.getElementById('diff-base')) === capturedAt(document.getElementById('diff-compare'));
+  btn.disabled = same;
+  btn.title = same ? 'Capture the table again to compare it with this snapshot' : '';
+}
+
+function getDiffSelection() {
+  return {
+    baseId: document.getElementById('diff-base').value || null,
+    compareId: document.getElementById('diff-compare').value || null,
+  };
+}
+
+function showDiffResult(diff) {
+  document.getElementById('diff-result').classList.remove('hidden');
+
+  const summary = `${diff.added.length} added · ${diff.removed.length} removed · ${diff.changed.length} changed cells`;
+  document.getElementById('diff-summary').textContent = summary;
+  log(`Compared captures: ${summary}`, 'success');
+  if (diff.addedColumns.length > 0) log(`New columns: ${diff.addedColumns.join(', ')}`);
+  if (diff.removedColumns.length > 0) log(`Removed columns: ${diff.removedColumns.join(', ')}`);
+
+  const lines = [
+    ...diff.added.map(row => diffLine('added', `+ ${row.label}`)),
+    ...diff.removed.map(row => diffLine('removed', `\u2212 ${row.label}`)),
+    ...diff.changed.map(cell => {
+      const line = diffLine('changed', `${cell.label} · ${cell.header}: `);
+      const oldEl = document.createElement('span');
+      oldEl.className = 'diff-old';
+      oldEl.textContent = cell.before || '(empty)';
+      line.append(oldEl, ` \u2192 ${cell.after || '(empty)'}`);
+      return line;
+    }),
+  ];
+
+  const changesEl = document.getElementById('diff-changes');
+  changesEl.innerHTML = '';
+  changesEl.append(...lines.slice(0, MAX_DIFF_LINES));
+  if (lines.length > MAX_DIFF_LINES) {
+    changesEl.appendChild(diffLine('more', `…and ${lines.length - MAX_DIFF_LINES} more — download a report for the full list`));
+  }
+  if (lines.length === 0) {
+    changesEl.appendChild(diffLine('none', 'No differences.'));
+  }
+}
+
+function diffLine(type, text) {
+  const line = document.createElement('div');
+  line.className = `diff-line ${type}`;
+  line.textContent = text;
+  return line;
+}
+
+async function exportDiff(format) {
+  try {
+    const result = await chrome.runtime.sendMessage({ action: 'EXPORT_DIFF', format, ...getDiffSelection() });
+    if (result.success) {
+      log(`Downloading ${format.toUpperCase()} change report...`, 'success');
+    } else {
+      log('Download failed: ' + result.error, 'error');
+    }
+  } catch (err) {
+    log(err.message, 'error');
+  }
+}
+
 // ═══════════════════════════════════════════════════════════
 // Helpers
 // ═══════════════════════════════════════════════════════════
@@ -258,9 +1810,20 @@ function getRangeOrError() {
   return parseRowRange(input, totalRows);
 }
 
+function getRangeText() {
+  return document.getElementById('row-range').value.trim();
+}
+
+function dedupeLabel(result) {
+  return result.collapsedCount ? `, ${result.collapsedCount} duplicates collapsed` : '';
+}
+
 function handleCaptureResult(result) {
   if (result?.success) {
     log(`Captured ${result.rowCount} rows x ${result.headers?.length || '?'} columns`, 'success');
+    if (result.method === 'hybrid') {
+      log('Merged with intercepted API data — full API values preferred, grid values fill the gaps');
+    }
     refreshStatus();
   } else {
     log('Capture failed: ' + (result?.error || 'Unknown error'), 'error');